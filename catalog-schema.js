@@ -0,0 +1,53 @@
+// What the video catalog looks like - the sheet's columns and the video links it can hold.
+// script.js and tools/build-share-pages.js both read this file, so share pages pick up the
+// same columns and give videos the same keys as the site. In the page everything here is
+// a global; in Node it's the module's exports.
+
+// Sheet columns we understand, matched by header text (case and spacing don't matter).
+// Unknown columns are kept on the video as-is so nothing typed into the sheet is lost.
+// Localized fields can also have a column per language, like "title_es" or "Title ES".
+const SHEET_SCHEMA = {
+    title: { type: 'text', required: true, localized: true, aliases: ['name', 'video title'] },
+    tags: { type: 'text', aliases: ['tag', 'category', 'categories'] },
+    icon: { type: 'text', aliases: ['emoji'] },
+    views: { type: 'number', aliases: ['view count', 'viewcount'] },
+    videoUrl: { type: 'url', aliases: ['video url', 'url', 'link', 'video', 'video link'] },
+    thumbnail: { type: 'url', aliases: ['thumbnail url', 'thumb', 'image'] },
+    description: { type: 'text', localized: true, aliases: ['desc', 'summary'] },
+    date: { type: 'date', aliases: ['published', 'posted', 'upload date', 'date posted'] },
+};
+
+// "Video URL", "video_url" and "videourl" all become "videourl"
+function normalizeHeader(header) {
+    return String(header ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Every header the schema knows, normalized, to the { field, locale } it holds - the
+// localized fields get a column for each language code in `locales` too
+function getSchemaHeaders(locales) {
+    const lookup = new Map();
+    Object.entries(SHEET_SCHEMA).forEach(([field, spec]) => {
+        [field, ...spec.aliases].forEach(name => {
+            lookup.set(normalizeHeader(name), { field, locale: null });
+            if (!spec.localized) return;
+            locales.forEach(code => lookup.set(normalizeHeader(`${name} ${code}`), { field, locale: code }));
+        });
+    });
+    return lookup;
+}
+
+// Video links by platform, checked in order - the first capture group is the video ID.
+// Video files aren't here, their "ID" is the whole file URL.
+const VIDEO_LINK_PATTERNS = {
+    shorts: /youtube\.com\/shorts\/([\w-]{11})/,
+    youtube: /(?:youtu\.be\/|youtube(?:-nocookie)?\.com\/(?:embed\/|v\/|live\/|watch\?v=|watch\?.+&v=))([\w-]{11})/,
+    vimeo: /vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/,
+    tiktok: /tiktok\.com\/(?:@[\w.-]+\/video\/|embed\/(?:v2\/)?|v\/)(\d+)/,
+    instagram: /instagram\.com\/(?:[\w.]+\/)?(?:reels?|p|tv)\/([\w-]+)/,
+    twitch: /(?:clips\.twitch\.tv\/(?:embed\?clip=)?|twitch\.tv\/[\w]+\/clip\/)([\w-]+)/,
+    twitchvod: /twitch\.tv\/videos\/(\d+)/,
+};
+
+if (typeof module === 'object') {
+    module.exports = { SHEET_SCHEMA, normalizeHeader, getSchemaHeaders, VIDEO_LINK_PATTERNS };
+}
@@ -2,604 +2,3819 @@
 const SHEET_ID = '1sIwKBRrCv-MHGjdfkY5cpM4Y7VHKMWu-FbWdsxz1kyw';
 const SHEET_URL = `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:json`;
 
-// Cloudflare Worker for YouTube view counts
+// Where the video catalog comes from - "type" picks one of the DATA_SOURCES adapters.
+// For local testing, ?source=json (or csv, rss, gviz) overrides the type and
+// ?src=path/to/file.json points that adapter at another file on this site.
+const DATA_SOURCE_CONFIG = {
+    type: 'gviz',
+    gviz: { url: SHEET_URL },
+    // File > Share > Publish to web > CSV gives a /pub?output=csv link; this export link works too
+    csv: { url: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv` },
+    json: { url: 'videos.json' },
+    // YouTube channel feeds don't allow cross-origin requests, so they need a CORS proxy
+    // prefix, e.g. proxy: 'https://my-proxy.example/?url='
+    rss: { url: '', proxy: '' },
+};
+
+// Cloudflare Worker for YouTube view counts. For local testing, run
+// `node tools/views-worker-stub.js` and open the site with ?views=http://localhost:8787
 const VIEWS_WORKER_URL = 'https://youtube-views.leonardthethird.workers.dev';
 
+// Interface text. English is the base - other locales only need the messages they translate,
+// anything missing falls back to English. "{name}" is filled in from the values passed to t(),
+// and a message written as { one, other } (or any Intl.PluralRules category) is picked by the
+// "count" value. Sheet titles can be translated too, with columns like "title_es".
+const MESSAGES = {
+    en: {
+        'locale.name': 'English',
+        'settings.auto': '✨ Automatic',
+
+        // index.html
+        'continue.title': '⏯️ Continue Watching',
+        'search.placeholder': 'Search videos...',
+        'search.go': 'Go!',
+        'tags.label': 'Filter by tag',
+        'sort.label': 'Sort:',
+        'sort.sheet': '📋 Sheet order',
+        'sort.views': '🔥 Most viewed',
+        'sort.newest': '✨ Newest',
+        'sort.title': '🔤 Title A–Z',
+        'home.videos': 'Videos',
+        'nav.home': 'Home',
+        'nav.videos': 'Videos',
+        'nav.new': 'New',
+        'nav.faves': 'Faves',
+        'nav.me': 'Me',
+
+        // Cards
+        'video.untitled': 'Untitled',
+        'video.this': 'this video',
+        'card.new': 'NEW!',
+        'card.views': { one: '⭐ {views} view', other: '⭐ {views} views' },
+        'card.viewsLoading': '⭐ Loading... views',
+        'card.viewsUnknown': '⭐ ? views',
+        'card.viewsFailed': 'Couldn\'t load the latest view count',
+        'card.likes': { one: '{count} like', other: '{count} likes' },
+        'card.length': 'Length {duration}',
+        'card.unavailable': '💔 No longer available',
+        'date.justNow': 'just now',
+
+        // Lists and filters
+        'tags.all': '✨ All ({count})',
+        'tags.other': 'other',
+        'tags.matchAll': '🔗 Match all',
+        'tags.matchAllHint': 'Only show videos that have every selected tag',
+        'grid.showMore': 'Show more ({count})',
+        'empty.search': 'No videos match "{query}"',
+        'empty.tags': 'No videos with those tags yet!',
+        'empty.none': 'No videos here yet!',
+        'empty.showAll': 'Show all videos',
+        'empty.faves': 'No faves yet! Tap 🤍 on a video to save it here.',
+        'load.failed': 'Couldn\'t load videos right now 📡',
+        'load.retry': 'Try again',
+        'offline.saved': '📼 Showing saved videos from {time}',
+        'offline.retry': 'Retry',
+
+        // Views
+        'view.videos': '🎬 All Videos ({count})',
+        'view.playAll': '▶️ Play all',
+        'view.new': '✨ New Videos',
+        'view.faves': '💖 Faves',
+        'view.me': '👤 Me',
+        'faves.export': '⬇️ Export',
+        'faves.import': '⬆️ Import',
+        'faves.imported': { one: 'Imported {count} fave! 💖', other: 'Imported {count} faves! 💖' },
+        'faves.importFailed': 'Oops! That file doesn\'t look like a faves list 💔',
+        'faves.add': 'Add to faves',
+        'faves.remove': 'Remove from faves',
+        'faves.label': 'Fave {title}',
+
+        // Me tab
+        'me.videoCount': { one: '🎬 {videos} video to watch', other: '🎬 {videos} videos to watch' },
+        'me.calm': '🧘 Calm mode (no sparkles or floating decorations)',
+        'me.theme': '🎨 Theme',
+        'me.language': '🌐 Language',
+        'me.effects': '✨ Sparkles and cursor trail',
+        'me.density': '🌟 How many',
+        'me.icons': '💖 Trail icons',
+        'me.touch': '👆 Trail follows your finger on touch screens',
+        'theme.lavender': '💜 Lavender',
+        'theme.midnight': '🌙 Midnight',
+        'theme.contrast': '🔲 High contrast',
+        'theme.spooky': '🎃 Spooky season',
+        'density.low': '🌱 A few',
+        'density.normal': '✨ Some',
+        'density.high': '🌟 Lots',
+        'icons.y2k': '💖 Y2K',
+        'icons.stars': '⭐ Stars',
+        'icons.hearts': '💕 Hearts',
+        'icons.theme': '🎨 Match the theme',
+
+        // Player
+        'player.nowPlaying': 'Now Playing',
+        'player.label': 'Video player',
+        'player.close': 'Close video',
+        'player.related': 'Related videos',
+        'player.upNext': 'Up next',
+        'queue.previous': 'Previous video',
+        'queue.next': 'Next video',
+        'queue.autoplay': 'Autoplay next',
+
+        // Sharing and alerts
+        'share.button': 'Share',
+        'share.label': 'Share {title}',
+        'share.copied': 'Link copied - paste it anywhere to share! 📋',
+        'share.copyThis': 'Copy this link to share: {url}',
+        'alert.ok': 'OK!',
+        'alert.unavailable': 'This video is no longer available 💔',
+        'alert.comingSoon': 'Video Coming Soon! ✨🎬',
+        'update.available': '🎀 New version available - tap to refresh! 🎀',
+    },
+    es: {
+        'locale.name': 'Español',
+        'settings.auto': '✨ Automático',
+
+        'continue.title': '⏯️ Seguir viendo',
+        'search.placeholder': 'Buscar videos...',
+        'search.go': '¡Ir!',
+        'tags.label': 'Filtrar por etiqueta',
+        'sort.label': 'Ordenar:',
+        'sort.sheet': '📋 Orden de la hoja',
+        'sort.views': '🔥 Más vistos',
+        'sort.newest': '✨ Más nuevos',
+        'sort.title': '🔤 Título A–Z',
+        'home.videos': 'Videos',
+        'nav.home': 'Inicio',
+        'nav.videos': 'Videos',
+        'nav.new': 'Nuevos',
+        'nav.faves': 'Favoritos',
+        'nav.me': 'Yo',
+
+        'video.untitled': 'Sin título',
+        'video.this': 'este video',
+        'card.new': '¡NUEVO!',
+        'card.views': { one: '⭐ {views} vista', other: '⭐ {views} vistas' },
+        'card.viewsLoading': '⭐ Cargando vistas...',
+        'card.viewsUnknown': '⭐ ? vistas',
+        'card.viewsFailed': 'No se pudo cargar el número de vistas más reciente',
+        'card.likes': { other: '{count} me gusta' },
+        'card.length': 'Duración {duration}',
+        'card.unavailable': '💔 Ya no está disponible',
+        'date.justNow': 'justo ahora',
+
+        'tags.all': '✨ Todos ({count})',
+        'tags.other': 'otros',
+        'tags.matchAll': '🔗 Todas a la vez',
+        'tags.matchAllHint': 'Mostrar solo los videos que tienen todas las etiquetas elegidas',
+        'grid.showMore': 'Ver más ({count})',
+        'empty.search': 'Ningún video coincide con "{query}"',
+        'empty.tags': '¡Todavía no hay videos con esas etiquetas!',
+        'empty.none': '¡Todavía no hay videos aquí!',
+        'empty.showAll': 'Ver todos los videos',
+        'empty.faves': '¡Aún no hay favoritos! Toca 🤍 en un video para guardarlo aquí.',
+        'load.failed': 'No se pudieron cargar los videos ahora mismo 📡',
+        'load.retry': 'Intentar de nuevo',
+        'offline.saved': '📼 Mostrando videos guardados el {time}',
+        'offline.retry': 'Reintentar',
+
+        'view.videos': '🎬 Todos los videos ({count})',
+        'view.playAll': '▶️ Reproducir todo',
+        'view.new': '✨ Videos nuevos',
+        'view.faves': '💖 Favoritos',
+        'view.me': '👤 Yo',
+        'faves.export': '⬇️ Exportar',
+        'faves.import': '⬆️ Importar',
+        'faves.imported': { one: '¡{count} favorito importado! 💖', other: '¡{count} favoritos importados! 💖' },
+        'faves.importFailed': '¡Uy! Ese archivo no parece una lista de favoritos 💔',
+        'faves.add': 'Añadir a favoritos',
+        'faves.remove': 'Quitar de favoritos',
+        'faves.label': 'Guardar {title} en favoritos',
+
+        'me.videoCount': { one: '🎬 {videos} video para ver', other: '🎬 {videos} videos para ver' },
+        'me.calm': '🧘 Modo tranquilo (sin destellos ni decoraciones flotantes)',
+        'me.theme': '🎨 Tema',
+        'me.language': '🌐 Idioma',
+        'me.effects': '✨ Destellos y estela del cursor',
+        'me.density': '🌟 Cantidad',
+        'me.icons': '💖 Iconos de la estela',
+        'me.touch': '👆 La estela sigue tu dedo en pantallas táctiles',
+        'theme.lavender': '💜 Lavanda',
+        'theme.midnight': '🌙 Medianoche',
+        'theme.contrast': '🔲 Alto contraste',
+        'theme.spooky': '🎃 Temporada de miedo',
+        'density.low': '🌱 Pocos',
+        'density.normal': '✨ Algunos',
+        'density.high': '🌟 Muchos',
+        'icons.y2k': '💖 Y2K',
+        'icons.stars': '⭐ Estrellas',
+        'icons.hearts': '💕 Corazones',
+        'icons.theme': '🎨 Según el tema',
+
+        'player.nowPlaying': 'Reproduciendo',
+        'player.label': 'Reproductor de video',
+        'player.close': 'Cerrar video',
+        'player.related': 'Videos relacionados',
+        'player.upNext': 'A continuación',
+        'queue.previous': 'Video anterior',
+        'queue.next': 'Video siguiente',
+        'queue.autoplay': 'Reproducir el siguiente',
+
+        'share.button': 'Compartir',
+        'share.label': 'Compartir {title}',
+        'share.copied': '¡Enlace copiado! Pégalo donde quieras para compartirlo 📋',
+        'share.copyThis': 'Copia este enlace para compartirlo: {url}',
+        'alert.ok': '¡OK!',
+        'alert.unavailable': 'Este video ya no está disponible 💔',
+        'alert.comingSoon': '¡Video muy pronto! ✨🎬',
+        'update.available': '🎀 ¡Hay una versión nueva! Toca para actualizar 🎀',
+    },
+};
+
+// Language from the Me tab - 'auto' picks the first of the browser's languages we have
+const LOCALE_STORAGE_KEY = 'vivi-locale';
+let localeSetting = readSetting(LOCALE_STORAGE_KEY) || 'auto';
+
+// The active MESSAGES locale ("es"), and the full language tag numbers and dates are
+// formatted with - the browser's own ("es-MX") when it was picked automatically
+let locale = 'en';
+let formatLocale = 'en';
+let pluralRules = null;
+let compactNumberFormat = null;
+
+function detectLocale() {
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    return languages.find(tag => Object.hasOwn(MESSAGES, String(tag).toLowerCase().split('-')[0])) || 'en';
+}
+
+function loadLocale() {
+    formatLocale = Object.hasOwn(MESSAGES, localeSetting) ? localeSetting : detectLocale();
+    locale = formatLocale.toLowerCase().split('-')[0];
+    pluralRules = new Intl.PluralRules(formatLocale);
+    // Short counts in the visitor's own number format (e.g., 1234 -> "1.2K", or "1,2 mil" in Spanish)
+    compactNumberFormat = new Intl.NumberFormat(formatLocale, { notation: 'compact', maximumFractionDigits: 1 });
+}
+
+loadLocale();
+
+// A message with its placeholders filled in, as a list of parts - values can be elements,
+// so the parts can go straight into el() as children
+function tParts(key, values = {}) {
+    let message = MESSAGES[locale]?.[key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === 'object') {
+        message = message[pluralRules.select(Number(values.count))] ?? message.other;
+    }
+    return message.split(/\{(\w+)\}/).map((part, i) => (i % 2 ? values[part] ?? `{${part}}` : part));
+}
+
+// A message as text, e.g. t('card.views', { count: 1234, views: '1.2K' }) -> "⭐ 1.2K views"
+function t(key, values) {
+    return tParts(key, values).join('');
+}
+
+// A translatable sheet field - "title_es" for Spanish visitors, else the plain "title"
+function localizedField(video, field) {
+    return video[`${field}_${locale}`] || video[field] || '';
+}
+
 // Format view count nicely (e.g., 1234 -> "1.2K")
 function formatViews(views) {
-    if (!views || isNaN(views)) return '0';
-    if (views >= 1000000) {
-        return (views / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
+    const count = Number(views);
+    return compactNumberFormat.format(Number.isFinite(count) && count > 0 ? count : 0);
+}
+
+// Sheet counts are numbers, or text like "1.2K" typed in by hand - shown as written
+function formatSheetViews(views) {
+    return typeof views === 'number' ? formatViews(views) : String(views || formatViews(0));
+}
+
+// "⭐ 1.2K views" for a live or sheet count - plural by the full number, not the short one
+function formatViewsText(views) {
+    return t('card.views', { count: parseViewCount(views), views: formatSheetViews(views) });
+}
+
+// Video length like a player's timestamp (e.g., 213 -> "3:33", 3723 -> "1:02:03")
+function formatDuration(seconds) {
+    const total = Math.round(Number(seconds));
+    if (!Number.isFinite(total) || total <= 0) return '';
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Videos posted within this many days get a "NEW!" badge
+const NEW_BADGE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isNewVideo(date) {
+    return Boolean(date) && Date.now() - date.getTime() < NEW_BADGE_DAYS * DAY_MS;
+}
+
+// Format a date relative to now (e.g., "3 days ago", "yesterday")
+function formatRelativeDate(date) {
+    const formatter = new Intl.RelativeTimeFormat(formatLocale, { numeric: 'auto' });
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const units = [
+        ['year', 365 * 24 * 60 * 60],
+        ['month', 30 * 24 * 60 * 60],
+        ['week', 7 * 24 * 60 * 60],
+        ['day', 24 * 60 * 60],
+        ['hour', 60 * 60],
+        ['minute', 60],
+    ];
+    for (const [unit, size] of units) {
+        if (Math.abs(seconds) >= size) {
+            return formatter.format(Math.round(seconds / size), unit);
+        }
+    }
+    return t('date.justNow');
+}
+
+// Offline cache - last good catalog, view counts and video metadata with timestamps
+const CACHE_KEYS = {
+    catalog: 'vivi-cache-catalog',
+    views: 'vivi-cache-views',
+    metadata: 'vivi-cache-metadata',
+};
+
+// Size, thumbnail and length hardly ever change, so only re-check them weekly
+const METADATA_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function readCache(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        console.log('Could not read cache', key, error);
+        return null;
+    }
+}
+
+function writeCache(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // Most likely out of quota - the cache is a nice-to-have
+        console.log('Could not write cache', key, error);
     }
-    if (views >= 1000) {
-        return (views / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+}
+
+function removeCache(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        console.log('Could not remove cache', key, error);
     }
-    return views.toString();
 }
 
-// Fetch YouTube view count via worker
-async function fetchYouTubeViews(videoId) {
+// Settings are stored as plain strings ("on", "views", ...) rather than JSON. Storage
+// can be blocked or full, and then the page just runs on its defaults.
+function readSetting(key) {
     try {
-        const response = await fetch(`${VIEWS_WORKER_URL}?v=${videoId}`);
-        const data = await response.json();
-        return data.views || null;
+        return localStorage.getItem(key);
     } catch (error) {
-        console.log('Could not fetch views for', videoId, error);
+        console.log('Could not read setting', key, error);
         return null;
     }
 }
 
-// Fallback gradient colors for videos without thumbnails
-const FALLBACK_GRADIENTS = [
-    ['#ff6b9d', '#c44dff'],
-    ['#4de1ff', '#4d7cff'],
-    ['#ffeb4d', '#ff9d4d'],
-    ['#4dff88', '#4de1ff'],
-    ['#ff4d88', '#ff4dcd'],
-    ['#c44dff', '#4d88ff'],
-];
+function writeSetting(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.log('Could not save setting', key, error);
+    }
+}
 
-// Extract YouTube video ID from URL
-function getYouTubeId(url) {
-    if (!url) return null;
-    const match = url.match(/(?:youtu\.be\/|youtube\.com\/(?:embed\/|v\/|watch\?v=|watch\?.+&v=))([^&?]+)/);
-    return match ? match[1] : null;
+// Remember one entry in a keyed cache, e.g. a view count per video ID
+function writeCacheEntry(key, id, value) {
+    writeCacheEntries(key, { [id]: value });
 }
 
-// Extract Vimeo video ID from URL
-function getVimeoId(url) {
-    if (!url) return null;
-    const match = url.match(/(?:vimeo\.com\/)(\d+)/);
+// Remember several entries at once - { [id]: value }
+function writeCacheEntries(key, values) {
+    const entries = readCache(key) || {};
+    Object.entries(values).forEach(([id, value]) => {
+        entries[id] = { ...value, savedAt: Date.now() };
+    });
+    writeCache(key, entries);
+}
+
+// Whether a cache entry was saved within maxAge
+function isFreshEntry(entry, maxAge) {
+    return Boolean(entry) && Date.now() - entry.savedAt < maxAge;
+}
+
+// View counts service - talks to the views worker.
+//
+// Request:  GET <worker>?v=<id>,<id>,...   (YouTube video IDs, at most VIEWS_BATCH_SIZE)
+// Response: 200, JSON, with every ID the worker found:
+//   {
+//     "videos": {
+//       "dQw4w9WgXcQ": {
+//         "views": 1234567,                       // required, integer
+//         "likes": 8910,                          // integer, or null if hidden
+//         "duration": 213,                        // length in seconds
+//         "publishedAt": "2009-10-25T06:57:33Z"   // ISO 8601
+//       }
+//     }
+//   }
+// IDs that don't exist are left out. A request for a single ID may also get the
+// original worker's plain { "views": 1234567 } back.
+// 429 and 5xx responses (and network errors) are retried with backoff; other
+// errors and responses that aren't JSON are reported once and not retried.
+
+// Counts are re-fetched once they're older than this
+const VIEWS_MAX_AGE = 60 * 60 * 1000;
+
+const VIEWS_BATCH_SIZE = 50;
+const VIEWS_MAX_CONCURRENT = 2;
+const VIEWS_MAX_RETRIES = 3;
+const VIEWS_RETRY_DELAY = 1000;
+
+// ?views=http://localhost:8787 points the site at a local stand-in for the worker
+function getViewsWorkerUrl() {
+    const override = safeUrl(new URLSearchParams(location.search).get('views'));
+    if (override && ['localhost', '127.0.0.1'].includes(new URL(override).hostname)) return override;
+    return VIEWS_WORKER_URL;
+}
+
+// In-flight lookups by video ID, so a card rendered twice shares one request
+const viewStatsRequests = new Map();
+
+// IDs the worker couldn't answer for this visit - they keep their cached or sheet count
+const failedViewIds = new Set();
+
+// Set once the worker answers a batch without a "videos" list - an older worker that only
+// reads one ID - so later lookups ask for one ID at a time
+let viewsWorkerSingleId = false;
+
+// Worker requests waiting for a free slot
+let activeViewRequests = 0;
+const waitingViewRequests = [];
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run a request once fewer than VIEWS_MAX_CONCURRENT are in flight
+function runViewRequest(task) {
+    return new Promise((resolve, reject) => {
+        const run = async () => {
+            activeViewRequests++;
+            try {
+                resolve(await task());
+            } catch (error) {
+                reject(error);
+            } finally {
+                activeViewRequests--;
+                waitingViewRequests.shift()?.();
+            }
+        };
+        if (activeViewRequests < VIEWS_MAX_CONCURRENT) run();
+        else waitingViewRequests.push(run);
+    });
+}
+
+// Turn one worker entry into { views, likes, duration, publishedAt } - null if it has no count
+function normalizeViewStats(entry) {
+    const views = Number(entry?.views);
+    if (entry?.views == null || !Number.isFinite(views)) return null;
+    const numberOrNull = value => (value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+    return {
+        views,
+        likes: numberOrNull(entry.likes),
+        duration: numberOrNull(entry.duration),
+        publishedAt: typeof entry.publishedAt === 'string' ? entry.publishedAt : null,
+    };
+}
+
+// Fetch one batch of IDs, retrying server hiccups - resolves to { [id]: stats }
+async function fetchViewsBatch(ids) {
+    const url = `${getViewsWorkerUrl()}?v=${ids.map(encodeURIComponent).join(',')}`;
+
+    for (let attempt = 0; ; attempt++) {
+        let retryable = true;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                retryable = response.status === 429 || response.status >= 500;
+                throw new Error(`HTTP ${response.status} from views worker`);
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                retryable = false;
+                throw new Error('Views worker sent something that isn\'t JSON');
+            }
+
+            if (!data?.videos && ids.length > 1) {
+                viewsWorkerSingleId = true;
+                return fetchViewsOneByOne(ids);
+            }
+
+            const entries = data?.videos || { [ids[0]]: data };
+            const stats = {};
+            ids.forEach(id => {
+                const entry = normalizeViewStats(entries[id]);
+                if (entry) stats[id] = entry;
+            });
+            return stats;
+        } catch (error) {
+            if (!retryable || attempt >= VIEWS_MAX_RETRIES) throw error;
+            // 1s, 2s, 4s... with a little jitter so retries don't line up
+            await wait(VIEWS_RETRY_DELAY * 2 ** attempt * (1 + Math.random() * 0.25));
+        }
+    }
+}
+
+// The IDs of a batch one request at a time, still inside the batch's slot - an ID that
+// fails is left out instead of failing the rest
+async function fetchViewsOneByOne(ids) {
+    const stats = {};
+    for (const id of ids) {
+        try {
+            Object.assign(stats, await fetchViewsBatch([id]));
+        } catch (error) {
+            console.log('Could not fetch views for', id, error);
+        }
+    }
+    return stats;
+}
+
+// Look up stats for some video IDs - resolves to { [id]: stats } for the ones found.
+// Results go into the views cache; IDs that fail are remembered for this visit.
+function fetchViewStats(ids) {
+    const missing = [...new Set(ids)].filter(id => !viewStatsRequests.has(id));
+    const batchSize = viewsWorkerSingleId ? 1 : VIEWS_BATCH_SIZE;
+    for (let i = 0; i < missing.length; i += batchSize) {
+        const batch = missing.slice(i, i + batchSize);
+        const request = runViewRequest(() => fetchViewsBatch(batch))
+            .then(stats => {
+                writeCacheEntries(CACHE_KEYS.views, stats);
+                batch.filter(id => !stats[id]).forEach(id => failedViewIds.add(id));
+                return stats;
+            })
+            .catch(error => {
+                console.log('Could not fetch views for', batch.join(', '), error);
+                batch.forEach(id => failedViewIds.add(id));
+                return {};
+            })
+            .finally(() => batch.forEach(id => viewStatsRequests.delete(id)));
+        batch.forEach(id => viewStatsRequests.set(id, request));
+    }
+
+    return Promise.all(ids.map(id => viewStatsRequests.get(id)))
+        .then(results => {
+            const found = {};
+            results.forEach((stats, i) => {
+                if (stats?.[ids[i]]) found[ids[i]] = stats[ids[i]];
+            });
+            return found;
+        });
+}
+
+// Site themes - the CSS side is the [data-theme] blocks in style.css. Each one here has:
+//   label         - message key for its name in the Me tab's theme picker
+//   color         - browser toolbar color (the theme-color meta tag)
+//   gradients     - fallback gradient colors for videos without thumbnails
+//   trailColors   - cursor trail star colors, plus sparkleColor for click sparkles
+//   decos         - the floating emoji, in the order of the .deco spans in index.html
+const THEMES = {
+    lavender: {
+        label: 'theme.lavender',
+        color: '#9370db',
+        gradients: [
+            ['#ff6b9d', '#c44dff'],
+            ['#4de1ff', '#4d7cff'],
+            ['#ffeb4d', '#ff9d4d'],
+            ['#4dff88', '#4de1ff'],
+            ['#ff4d88', '#ff4dcd'],
+            ['#c44dff', '#4d88ff'],
+        ],
+        trailColors: ['#ff69b4', '#00bfff', '#ff1493', '#ba55d3', '#ffff00', '#00ffff'],
+        sparkleColor: '#ffff00',
+        decos: ['⭐', '✨', '🎤', '🍦', '🎀', '🕶️', '⭐', '💎', '✨', '🍨', '🎙️', '🎀', '⭐', '😎', '✨'],
+    },
+    midnight: {
+        label: 'theme.midnight',
+        color: '#1b1446',
+        gradients: [
+            ['#3a1f6b', '#7b2f8f'],
+            ['#1f2f6b', '#2f5a8f'],
+            ['#4a2a6b', '#8f4a7b'],
+            ['#1f4a6b', '#3a2f8f'],
+            ['#5a1f4a', '#8f2f6b'],
+            ['#2a1f5a', '#4a3a9a'],
+        ],
+        trailColors: ['#c4b5ff', '#8fd3ff', '#ffd84d', '#ff9ad5', '#ffffff'],
+        sparkleColor: '#ffd84d',
+        decos: ['⭐', '🌙', '✨', '🪐', '💫', '🌟', '⭐', '🌙', '✨', '☁️', '🔭', '💫', '⭐', '🌌', '✨'],
+    },
+    contrast: {
+        label: 'theme.contrast',
+        color: '#000000',
+        gradients: [
+            ['#000000', '#333333'],
+            ['#333333', '#000000'],
+        ],
+        trailColors: ['#ffff00', '#ffffff', '#00ffff'],
+        sparkleColor: '#ffff00',
+        decos: ['⭐', '✨', '⭐', '✨', '⭐', '✨', '⭐', '✨', '⭐', '✨', '⭐', '✨', '⭐', '✨', '⭐'],
+    },
+    spooky: {
+        label: 'theme.spooky',
+        color: '#3b1f4a',
+        gradients: [
+            ['#ff8c2b', '#8a3fc4'],
+            ['#2b0f47', '#6b2fa8'],
+            ['#ff7a1a', '#ffd23f'],
+            ['#3b1f4a', '#ff3d7f'],
+            ['#6b2fa8', '#ff8c2b'],
+            ['#1a0f2e', '#c0561f'],
+        ],
+        trailColors: ['#ff7a1a', '#8a3fc4', '#ffd23f', '#7fff4d'],
+        sparkleColor: '#ff8c2b',
+        decos: ['🎃', '👻', '🦇', '🍬', '🕸️', '🌙', '🎃', '🕷️', '👻', '🍭', '🦇', '🧙', '🎃', '💀', '🍂'],
+    },
+};
+
+// Theme from the Me tab - 'auto' follows the system's dark mode and contrast settings
+const THEME_STORAGE_KEY = 'vivi-theme';
+const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const moreContrastQuery = window.matchMedia('(prefers-contrast: more)');
+let themeSetting = readSetting(THEME_STORAGE_KEY) || 'auto';
+
+function getActiveThemeName() {
+    if (Object.hasOwn(THEMES, themeSetting)) return themeSetting;
+    if (moreContrastQuery.matches) return 'contrast';
+    return darkSchemeQuery.matches ? 'midnight' : 'lavender';
+}
+
+function getActiveTheme() {
+    return THEMES[getActiveThemeName()];
+}
+
+// Fallback gradient for the nth video without a thumbnail
+function getFallbackGradient(index) {
+    const { gradients } = getActiveTheme();
+    return gradients[(index || 0) % gradients.length];
+}
+
+// First capture group of a regex match, or null
+function matchId(url, pattern) {
+    const match = String(url || '').match(pattern);
     return match ? match[1] : null;
 }
 
+// Supported video platforms, checked in order. Each entry has:
+//   match(url)                - the video ID from a link, or null (the link patterns are
+//                               in catalog-schema.js, shared with the share page tool)
+//   isValidId(id)             - whether an ID from a shared link or import looks real
+//   thumbnailCandidates(id)   - optional [{ url, width }] thumbnails, biggest first
+//   placeholder(id)           - optional tiny thumbnail to blur while the real one loads
+//   embedUrl(id, start)       - player URL for the modal iframe (null = native <video>),
+//                               starting `start` seconds in
+//   aspectRatio               - shape to open the player at
+//   workerViews               - view counts come from the YouTube views worker
+//   connect(media)            - optional, wraps the player API (see connectYouTubePlayer)
+//   fetchMetadata(id)         - optional, size/thumbnail/stats for the metadata store
+const VIDEO_PLATFORMS = {
+    shorts: {
+        name: 'YouTube Shorts',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.shorts),
+        isValidId: id => /^[\w-]{11}$/.test(id),
+        thumbnailCandidates: youTubeThumbnails,
+        placeholder: id => `https://i.ytimg.com/vi/${id}/default.jpg`,
+        embedUrl: (id, start) => `https://www.youtube.com/embed/${id}?autoplay=1&rel=0&enablejsapi=1${start ? `&start=${start}` : ''}`,
+        aspectRatio: 9 / 16,
+        workerViews: true,
+        connect: connectYouTubePlayer,
+    },
+    youtube: {
+        name: 'YouTube',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.youtube),
+        isValidId: id => /^[\w-]{11}$/.test(id),
+        thumbnailCandidates: youTubeThumbnails,
+        placeholder: id => `https://i.ytimg.com/vi/${id}/default.jpg`,
+        embedUrl: (id, start) => `https://www.youtube.com/embed/${id}?autoplay=1&rel=0&enablejsapi=1${start ? `&start=${start}` : ''}`,
+        aspectRatio: 16 / 9,
+        workerViews: true,
+        connect: connectYouTubePlayer,
+    },
+    vimeo: {
+        name: 'Vimeo',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.vimeo),
+        isValidId: id => /^\d+$/.test(id),
+        embedUrl: (id, start) => `https://player.vimeo.com/video/${id}?autoplay=1${start ? `#t=${start}s` : ''}`,
+        aspectRatio: 16 / 9,
+        connect: connectVimeoPlayer,
+        // Vimeo thumbnails require an API call, so they come from the metadata store
+        fetchMetadata: fetchVimeoMetadata,
+    },
+    tiktok: {
+        name: 'TikTok',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.tiktok),
+        isValidId: id => /^\d+$/.test(id),
+        embedUrl: id => `https://www.tiktok.com/embed/v2/${id}?autoplay=1`,
+        aspectRatio: 9 / 16,
+    },
+    instagram: {
+        name: 'Instagram',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.instagram),
+        isValidId: id => /^[\w-]+$/.test(id),
+        embedUrl: id => `https://www.instagram.com/p/${id}/embed`,
+        aspectRatio: 9 / 16,
+    },
+    twitch: {
+        name: 'Twitch',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.twitch),
+        isValidId: id => /^[\w-]+$/.test(id),
+        // Twitch only plays embeds on the domains named in "parent"
+        embedUrl: id => `https://clips.twitch.tv/embed?clip=${id}&parent=${location.hostname}&autoplay=true`,
+        aspectRatio: 16 / 9,
+    },
+    // Past broadcasts - "twitch.tv/videos/<id>", the player wants the ID with a "v" in front
+    twitchvod: {
+        name: 'Twitch',
+        match: url => matchId(url, VIDEO_LINK_PATTERNS.twitchvod),
+        isValidId: id => /^\d+$/.test(id),
+        embedUrl: (id, start) => `https://player.twitch.tv/?video=v${id}&parent=${location.hostname}&autoplay=true${start ? `&time=${start}s` : ''}`,
+        aspectRatio: 16 / 9,
+    },
+    // Self-hosted files play in a native <video> - the "ID" is the file URL itself
+    file: {
+        name: 'Video file',
+        match: url => {
+            const safe = safeUrl(url);
+            return safe && /\.(mp4|webm)$/i.test(new URL(safe).pathname) ? safe : null;
+        },
+        isValidId: id => Boolean(VIDEO_PLATFORMS.file.match(id)),
+        embedUrl: () => null,
+        aspectRatio: 16 / 9,
+        connect: connectVideoElement,
+    },
+};
+
 // Get video platform info
 function getVideoPlatform(url) {
-    const ytId = getYouTubeId(url);
-    if (ytId) return { platform: 'youtube', id: ytId };
-    const vimeoId = getVimeoId(url);
-    if (vimeoId) return { platform: 'vimeo', id: vimeoId };
+    if (!url) return null;
+    for (const [platform, spec] of Object.entries(VIDEO_PLATFORMS)) {
+        const id = spec.match(url);
+        if (id) return { platform, id };
+    }
     return null;
 }
 
-// Get thumbnail URL from video URL
-function getThumbnail(videoUrl, customThumbnail) {
-    if (customThumbnail) return customThumbnail;
-    const ytId = getYouTubeId(videoUrl);
-    if (ytId) return `https://img.youtube.com/vi/${ytId}/hqdefault.jpg`;
-    // Vimeo thumbnails require an API call, so we'll fetch them separately
-    return null;
+// Stable key for a video, e.g. "youtube-dQw4w9WgXcQ" - null if the platform is unknown
+function getVideoKey(video) {
+    const platform = getVideoPlatform(video.videoUrl || '');
+    return platform ? `${platform.platform}-${platform.id}` : null;
+}
+
+// Split a video key back into platform and ID (IDs may contain dashes themselves).
+// Keys also arrive from shared links and imports, so the ID has to look real.
+function parseVideoKey(key) {
+    const dash = key.indexOf('-');
+    if (dash < 1) return null;
+    const platform = key.slice(0, dash);
+    const id = key.slice(dash + 1);
+    if (!Object.hasOwn(VIDEO_PLATFORMS, platform) || !VIDEO_PLATFORMS[platform].isValidId(id)) return null;
+    return { platform, id };
+}
+
+// YouTube thumbnails, biggest first. Only hqdefault and mqdefault exist for every video -
+// older or low-resolution uploads get a 120x90 grey "missing" image for the bigger sizes.
+function youTubeThumbnails(id) {
+    return [
+        { url: `https://i.ytimg.com/vi/${id}/maxresdefault.jpg`, width: 1280 },
+        { url: `https://i.ytimg.com/vi/${id}/sddefault.jpg`, width: 640 },
+        { url: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`, width: 480 },
+        { url: `https://i.ytimg.com/vi/${id}/mqdefault.jpg`, width: 320 },
+    ];
+}
+
+// Everything a card can show as its thumbnail, in the order to try it:
+//   candidates  - [{ url, width? }] - the sheet's thumbnail, then the platform's own
+//   placeholder - tiny image shown blurred while the real one loads
+function getThumbnailSources(video) {
+    const platform = getVideoPlatform(safeUrl(video.videoUrl));
+    const spec = platform && VIDEO_PLATFORMS[platform.platform];
+    const candidates = [video.thumbnail, video.platformThumbnail]
+        .map(safeUrl)
+        .filter(Boolean)
+        .map(url => ({ url }));
+    if (spec?.thumbnailCandidates) candidates.push(...spec.thumbnailCandidates(platform.id));
+    return {
+        candidates,
+        placeholder: safeUrl(spec?.placeholder?.(platform.id) || video.platformPlaceholder),
+    };
+}
+
+// Whether view counts for this platform come from the views worker
+function usesWorkerViews(platform) {
+    return Boolean(VIDEO_PLATFORMS[platform]?.workerViews);
+}
+
+// Vimeo's upload_date is "2013-10-15 08:40:45" - returned as an ISO string, or null
+function parseVimeoDate(value) {
+    const date = new Date(String(value || '').replace(' ', 'T'));
+    return isNaN(date) ? null : date.toISOString();
+}
+
+// Everything Vimeo's v2 API tells us about a video, in one request
+async function fetchVimeoMetadata(vimeoId) {
+    const response = await fetch(`https://vimeo.com/api/v2/video/${vimeoId}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status} from Vimeo`);
+    const info = (await response.json())[0] || {};
+    return {
+        width: Number(info.width) || null,
+        height: Number(info.height) || null,
+        thumbnail: info.thumbnail_large || info.thumbnail_medium || null,
+        thumbnailSmall: info.thumbnail_small || null,
+        duration: Number(info.duration) || null,
+        likes: Number.isFinite(Number(info.stats_number_of_likes)) ? Number(info.stats_number_of_likes) : null,
+        publishedAt: parseVimeoDate(info.upload_date),
+    };
+}
+
+// Metadata store - one entry per video key (e.g. "vimeo-76979871"), for platforms with a
+// fetchMetadata in VIDEO_PLATFORMS:
+//   { width, height, thumbnail, duration, likes, publishedAt, savedAt }
+// Entries are kept in localStorage, and a video being looked up is only requested once
+// however many cards and players ask for it at the same time.
+const metadataRequests = new Map();
+
+// Thumbnails cached before the metadata store - kept as stale entries until refreshed
+function migrateVimeoThumbnailCache() {
+    const legacyKey = 'vivi-cache-vimeo-thumbnails';
+    const legacy = readCache(legacyKey);
+    if (!legacy) return;
+
+    const metadata = readCache(CACHE_KEYS.metadata) || {};
+    Object.entries(legacy).forEach(([id, entry]) => {
+        const key = `vimeo-${id}`;
+        if (!metadata[key] && entry?.url) metadata[key] = { thumbnail: entry.url, savedAt: 0 };
+    });
+    writeCache(CACHE_KEYS.metadata, metadata);
+    removeCache(legacyKey);
+}
+
+migrateVimeoThumbnailCache();
+
+// Whatever metadata we already have for a video key, fresh or not
+function getCachedMetadata(key) {
+    return (readCache(CACHE_KEYS.metadata) || {})[key] || null;
+}
+
+// Metadata for a video - from the cache while it's fresh, otherwise fetched.
+// Resolves to the stored entry, the stale one if fetching fails, or null.
+function getVideoMetadata(platform, id) {
+    const key = `${platform}-${id}`;
+    const cached = getCachedMetadata(key);
+    const fetchMetadata = VIDEO_PLATFORMS[platform]?.fetchMetadata;
+    if (!fetchMetadata || isFreshEntry(cached, METADATA_MAX_AGE)) return Promise.resolve(cached);
+
+    if (!metadataRequests.has(key)) {
+        const request = fetchMetadata(id)
+            .then(metadata => {
+                writeCacheEntry(CACHE_KEYS.metadata, key, metadata);
+                return getCachedMetadata(key);
+            })
+            .catch(error => {
+                console.log('Could not fetch metadata for', key, error);
+                return cached;
+            })
+            .finally(() => metadataRequests.delete(key));
+        metadataRequests.set(key, request);
+    }
+    return metadataRequests.get(key);
+}
+
+// Width / height from metadata, or null if we don't know the size yet
+function getMetadataAspectRatio(metadata) {
+    return metadata?.width && metadata?.height ? metadata.width / metadata.height : null;
+}
+
+// Copy metadata onto a video so cards and snapshots can use it
+function applyMetadata(video, metadata) {
+    if (!metadata) return;
+    video.platformThumbnail = metadata.thumbnail || null;
+    video.platformPlaceholder = metadata.thumbnailSmall || null;
+    if (!usesWorkerViews(parseVideoKey(video.key || '')?.platform)) {
+        video.liveStats = { likes: metadata.likes, duration: metadata.duration, publishedAt: metadata.publishedAt };
+    }
+}
+
+// Videos parsed from the sheet, in sheet order
+let videoCatalog = [];
+
+// Cards rendered in the grid, mapped back to their video objects
+const cardVideos = new WeakMap();
+
+// Build an element with DOM APIs. Text always goes in as text, never as HTML,
+// so nothing from the sheet can turn into markup or script.
+function el(tag, { className, text, attrs } = {}, children = []) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = String(text);
+    Object.entries(attrs || {}).forEach(([name, value]) => element.setAttribute(name, value));
+    children.filter(Boolean).forEach(child => element.append(child));
+    return element;
 }
 
-// Fetch Vimeo thumbnail
-async function fetchVimeoThumbnail(vimeoId) {
+// Only http(s) links get through - relative paths resolve against this site.
+// Returns the cleaned-up absolute URL, or '' for anything else (javascript:, data:, ...)
+function safeUrl(url) {
+    if (!url) return '';
     try {
-        const response = await fetch(`https://vimeo.com/api/v2/video/${vimeoId}.json`);
-        const data = await response.json();
-        return data[0]?.thumbnail_large || data[0]?.thumbnail_medium || null;
+        const parsed = new URL(String(url).trim(), location.href);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '';
     } catch (error) {
-        console.log('Could not fetch Vimeo thumbnail for', vimeoId, error);
-        return null;
+        return '';
     }
 }
 
-// Fetch Vimeo video info (including dimensions)
-async function fetchVimeoInfo(vimeoId) {
+// Sheet links have to be complete http(s) URLs. safeUrl is for rendering and resolves
+// against this site, which would let a typo like "watch?v=x" through as a same-origin link.
+function absoluteWebUrl(url) {
     try {
-        const response = await fetch(`https://vimeo.com/api/v2/video/${vimeoId}.json`);
-        const data = await response.json();
-        return {
-            width: data[0]?.width || 1920,
-            height: data[0]?.height || 1080,
-            aspectRatio: (data[0]?.width || 1920) / (data[0]?.height || 1080)
-        };
+        const parsed = new URL(String(url).trim());
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '';
     } catch (error) {
-        console.log('Could not fetch Vimeo info for', vimeoId, error);
-        return { width: 1920, height: 1080, aspectRatio: 16/9 };
+        return '';
+    }
+}
+
+// Icons are a few emoji or plain characters - no markup, no control characters
+function sanitizeIcon(icon) {
+    const text = String(icon ?? '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/[<>&"'`\u0000-\u001f\u007f]/g, '')
+        .trim();
+    if (typeof Intl.Segmenter === 'function') {
+        const segments = Array.from(new Intl.Segmenter().segment(text), part => part.segment);
+        return segments.slice(0, 3).join('');
+    }
+    return Array.from(text).slice(0, 6).join('');
+}
+
+// Show a thumbnail as an <img> over the gradient fallback, with a blurred placeholder
+// in between while it loads. Nothing loads until its card comes near the screen (see observeCard).
+function setThumbnail(element, { candidates, placeholder }, gradientIndex = null) {
+    if (gradientIndex != null) {
+        element.dataset.gradient = gradientIndex;
+        paintFallbackGradient(element);
+    }
+
+    element.querySelector('.thumbnail-img')?.remove();
+    element.querySelector('.thumbnail-placeholder')?.remove();
+    if (!candidates.length) return;
+
+    const img = el('img', {
+        className: 'thumbnail-img',
+        attrs: { alt: '', decoding: 'async', sizes: THUMBNAIL_SIZES },
+    });
+    thumbnailCandidates.set(img, [...candidates]);
+    img.addEventListener('load', () => {
+        if (isMissingThumbnail(img)) dropThumbnailCandidate(img);
+        else img.classList.add('loaded');
+    });
+    img.addEventListener('error', () => dropThumbnailCandidate(img));
+
+    const blurred = placeholder ? el('img', {
+        className: 'thumbnail-placeholder',
+        attrs: { alt: '', 'data-src': placeholder },
+    }) : null;
+    blurred?.addEventListener('error', () => blurred.remove());
+
+    element.prepend(...[blurred, img].filter(Boolean));
+    if (element.closest('.video-card')?.dataset.near) loadThumbnail(element);
+}
+
+// The gradient behind a thumbnail - repainted when the theme changes
+function paintFallbackGradient(element) {
+    const [from, to] = getFallbackGradient(Number(element.dataset.gradient));
+    element.style.backgroundImage = `linear-gradient(135deg, ${from}, ${to})`;
+}
+
+// Grid cards are about half the screen on phones and never much wider than 300px
+const THUMBNAIL_SIZES = '(max-width: 600px) 50vw, 300px';
+
+// Thumbnail URLs still worth trying for each card image
+const thumbnailCandidates = new WeakMap();
+
+// Start loading a thumbnail element's images
+function loadThumbnail(element) {
+    const blurred = element.querySelector('.thumbnail-placeholder');
+    if (blurred && !blurred.src) blurred.src = blurred.dataset.src;
+
+    const img = element.querySelector('.thumbnail-img');
+    if (img) showThumbnailCandidate(img);
+}
+
+// Point the image at its best remaining candidate. Sized platform images go in a srcset so
+// the browser picks the one that fits; a sheet thumbnail is tried on its own first.
+function showThumbnailCandidate(img) {
+    const [first, ...rest] = thumbnailCandidates.get(img) || [];
+    if (!first) return;
+    if (first.width) {
+        const sized = [first, ...rest];
+        img.srcset = sized.map(candidate => `${candidate.url} ${candidate.width}w`).join(', ');
+        img.src = sized[sized.length - 1].url;
+    } else {
+        img.removeAttribute('srcset');
+        img.src = first.url;
+    }
+}
+
+// YouTube answers a missing size with a 120x90 grey image instead of an error
+function isMissingThumbnail(img) {
+    return img.naturalWidth === 120 && img.naturalHeight === 90;
+}
+
+// The image that was picked failed - try the next one down, or leave the gradient showing.
+// Only the failed URL is dropped, so the fallback goes maxres -> sd -> hq -> mq as needed.
+function dropThumbnailCandidate(img) {
+    const candidates = thumbnailCandidates.get(img) || [];
+    const failed = img.currentSrc || img.src;
+    const index = candidates.findIndex(candidate => candidate.url === failed);
+    candidates.splice(index >= 0 ? index : 0, 1);
+
+    if (candidates.length) {
+        showThumbnailCandidate(img);
+    } else {
+        img.closest('.video-thumbnail')?.querySelector('.thumbnail-placeholder')?.remove();
+        img.remove();
+    }
+}
+
+// Unique IDs tie each card's button to its title and view count
+let cardIdCounter = 0;
+
+// Create a video card element
+function createVideoCard(video, index, searchTokens = []) {
+    const card = el('div', { className: 'video-card' });
+    const cardId = `video-card-${++cardIdCounter}`;
+    card.dataset.tags = video.tags || '';
+    cardVideos.set(card, video);
+
+    const videoUrl = safeUrl(video.videoUrl);
+    if (videoUrl) card.dataset.videoUrl = videoUrl;
+
+    const platform = getVideoPlatform(videoUrl);
+    if (platform) {
+        card.dataset.platform = platform.platform;
+        card.dataset.videoId = platform.id;
+    }
+
+    // Show "Loading..." initially for YouTube videos, use sheet value for others
+    let viewsText = formatViewsText(video.views);
+    if (usesWorkerViews(platform?.platform)) {
+        viewsText = video.liveViews != null ? formatViewsText(video.liveViews) : t('card.viewsLoading');
+    }
+
+    const icon = sanitizeIcon(video.icon);
+    const thumbnailEl = el('div', { className: 'video-thumbnail' }, [
+        el('span', { className: 'play-btn', text: '▶️', attrs: { 'aria-hidden': 'true' } }),
+        icon && el('span', { className: 'video-icon', text: icon, attrs: { 'aria-hidden': 'true' } }),
+        isNewVideo(getVideoDate(video)) && el('span', { className: 'new-badge', text: t('card.new') }),
+    ]);
+    setThumbnail(thumbnailEl, getThumbnailSources(video), index || 0);
+
+    // The title is the card's button - it stretches over the whole card and is named
+    // by the title plus view count. Filled in separately so search matches can be highlighted.
+    const titleEl = el('button', {
+        className: 'card-link',
+        attrs: { type: 'button', id: `${cardId}-title`, 'aria-labelledby': `${cardId}-title ${cardId}-views` },
+    });
+    highlightMatches(titleEl, localizedField(video, 'title') || t('video.untitled'), searchTokens);
+
+    card.append(
+        thumbnailEl,
+        el('div', { className: 'video-info' }, [
+            el('h3', {}, [titleEl]),
+            el('p', { className: 'video-meta' }, [
+                el('span', { className: 'view-count', text: viewsText, attrs: { id: `${cardId}-views` } }),
+            ]),
+        ])
+    );
+    renderCardStats(card, video);
+
+    // Heart toggle and share link for videos we can key by platform + ID
+    if (video.key && parseVideoKey(video.key)) {
+        thumbnailEl.appendChild(createFaveButton(video));
+        if (!video.unavailable) thumbnailEl.appendChild(createShareButton(video));
+    }
+
+    // How far this video was watched
+    setProgressBar(thumbnailEl, video.key);
+
+    // Faves that were removed from the sheet stay listed, but can't be played
+    if (video.unavailable) {
+        card.classList.add('unavailable');
+        card.querySelector('.view-count').textContent = t('card.unavailable');
+    }
+
+    // Add click handler
+    card.addEventListener('click', () => {
+        if (video.unavailable) {
+            showY2KAlert(t('alert.unavailable'));
+        } else if (platform && video.key) {
+            // Next/previous step through the grid as it's currently filtered and sorted
+            playQueue(getGridVideos(card.parentElement), video);
+        } else if (platform) {
+            showVideoPlayer(platform.platform, platform.id, localizedField(video, 'title'));
+        } else if (videoUrl) {
+            window.open(videoUrl, '_blank', 'noopener');
+        } else {
+            card.style.animation = 'none';
+            card.offsetHeight;
+            card.style.animation = 'card-click 0.5s ease';
+            showY2KAlert(t('alert.comingSoon'));
+        }
+    });
+
+    return card;
+}
+
+// Publish date from the sheet, or else the one the platform reported
+function getVideoDate(video) {
+    if (video.date) return video.date;
+    const published = video.liveStats?.publishedAt ? new Date(video.liveStats.publishedAt) : null;
+    return published && !isNaN(published) ? published : null;
+}
+
+// Duration pill, like count and age - filled in again whenever fresh stats arrive
+function renderCardStats(card, video) {
+    const thumbnailEl = card.querySelector('.video-thumbnail');
+    const meta = card.querySelector('.video-meta');
+    thumbnailEl.querySelector('.duration-pill')?.remove();
+    meta.querySelectorAll('.like-count, .video-age').forEach(element => element.remove());
+    if (video.unavailable) return;
+
+    const { duration, likes } = video.liveStats || {};
+    const date = getVideoDate(video);
+
+    const durationText = formatDuration(duration);
+    if (durationText) {
+        thumbnailEl.appendChild(el('span', { className: 'duration-pill', text: durationText, attrs: { 'aria-label': t('card.length', { duration: durationText }) } }));
+    }
+    if (likes != null) meta.appendChild(el('span', { className: 'like-count', text: ` · 💖 ${formatViews(likes)}`, attrs: { 'aria-label': t('card.likes', { count: likes }) } }));
+    if (date) meta.appendChild(el('span', { className: 'video-age', text: ` · ${formatRelativeDate(date)}` }));
+}
+
+// Active search query and tags for the grid - 'or' shows videos with any
+// of the selected tags, 'and' only videos with all of them
+const filterState = { query: '', tags: [], tagMode: 'or' };
+
+// Sort order for the Home grid, remembered across visits
+const SORT_STORAGE_KEY = 'vivi-sort';
+
+const SORTERS = {
+    sheet: (a, b) => a.index - b.index,
+    views: (a, b) => getViewCount(b) - getViewCount(a) || a.index - b.index,
+    newest: (a, b) => (getVideoDate(b) || 0) - (getVideoDate(a) || 0) || a.index - b.index,
+    title: (a, b) => localizedField(a, 'title').localeCompare(localizedField(b, 'title'), formatLocale, { sensitivity: 'base', numeric: true }) || a.index - b.index,
+};
+
+function loadSortOrder() {
+    const saved = readSetting(SORT_STORAGE_KEY);
+    return Object.hasOwn(SORTERS, saved) ? saved : 'sheet';
+}
+
+let sortOrder = loadSortOrder();
+
+// Turn a sheet view count like 1234, "1,234" or "1.2K" into a number
+function parseViewCount(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value || '').replace(/,/g, '').match(/^\s*([\d.]+)\s*([km])?/i);
+    if (!match) return 0;
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier) || 0;
+}
+
+// Live count from the views worker when we have it, otherwise the sheet value
+function getViewCount(video) {
+    return video.liveViews ?? parseViewCount(video.views);
+}
+
+function sortVideos(videos) {
+    return videos.slice().sort(SORTERS[sortOrder]);
+}
+
+// Reorder cards already in a grid, e.g. once live view counts arrive
+function resortGrid(grid) {
+    const state = gridStates.get(grid);
+    if (!state) return;
+    const sorted = sortVideos(state.videos);
+    if (sorted.every((video, i) => video === state.videos[i])) return;
+    renderCards(grid, sorted, state.searchTokens, Math.max(state.shown, CARDS_PER_PAGE));
+}
+
+// Lowercase and strip accents, keeping a map back to the original string positions
+// so matches can be highlighted in the untouched title
+function normalizeForSearch(text) {
+    let normalized = '';
+    const positions = [];
+    let offset = 0;
+    for (const char of String(text ?? '')) {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (let i = 0; i < folded.length; i++) positions.push(offset);
+        normalized += folded;
+        offset += char.length;
+    }
+    positions.push(offset);
+    return { normalized, positions };
+}
+
+// Split a search query into lowercase, accent-free tokens
+function tokenizeQuery(query) {
+    return normalizeForSearch(query).normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Number of single-character edits between two strings
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(
+                prev[j] + 1,
+                curr[j - 1] + 1,
+                prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+// Typos allowed for a token - none for short words so "pop" doesn't match "top"
+function allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+// Find where a token matches inside some text: exact substrings first,
+// then whole words (or word prefixes) within the typo allowance
+function findTokenMatches(text, token) {
+    const ranges = [];
+    let from = text.indexOf(token);
+    while (from !== -1) {
+        ranges.push([from, from + token.length]);
+        from = text.indexOf(token, from + 1);
+    }
+    if (ranges.length) return ranges;
+
+    const typos = allowedTypos(token);
+    if (!typos) return ranges;
+
+    for (const word of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const prefix = word[0].slice(0, token.length);
+        if (editDistance(token, word[0]) <= typos || editDistance(token, prefix) <= typos) {
+            ranges.push([word.index, word.index + word[0].length]);
+        }
     }
+    return ranges;
+}
+
+// Searchable text for a video: title, tags and description, in the sheet's words and the visitor's language
+function getSearchText(video) {
+    return [video.title, localizedField(video, 'title'), video.tags, video.description, localizedField(video, 'description')]
+        .filter(Boolean)
+        .map(value => normalizeForSearch(value).normalized)
+        .join(' \n ');
+}
+
+// Every token in the query has to match somewhere in the video
+function matchesSearch(video, tokens) {
+    if (!tokens.length) return true;
+    const text = getSearchText(video);
+    return tokens.every(token => findTokenMatches(text, token).length > 0);
+}
+
+// "Music, life ,, music" -> ['Music', 'life'] - duplicates differing only in case are dropped
+function parseTags(value) {
+    const seen = new Set();
+    return String(value || '').split(',')
+        .map(tag => tag.trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Whole tags only, ignoring case - "life" doesn't match "lifestyle"
+function matchesTags(video, tags, mode) {
+    if (!tags.length) return true;
+    const videoTags = new Set(parseTags(video.tags).map(tag => tag.toLowerCase()));
+    const test = tag => videoTags.has(tag.toLowerCase());
+    return mode === 'and' ? tags.every(test) : tags.some(test);
+}
+
+// Fill an element with text, wrapping search matches in <mark>
+function highlightMatches(el, text, tokens) {
+    el.textContent = '';
+    const { normalized, positions } = normalizeForSearch(text);
+
+    // Collect and merge overlapping match ranges
+    const ranges = tokens.flatMap(token => findTokenMatches(normalized, token))
+        .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        const from = positions[start];
+        const to = positions[end];
+        if (from > cursor) el.append(text.slice(cursor, from));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(from, to);
+        el.appendChild(mark);
+        cursor = to;
+    });
+    if (cursor < text.length) el.append(text.slice(cursor));
+}
+
+// Empty state shown in a grid when there's nothing to list
+function createEmptyState(message, buttonLabel, onClick) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.innerHTML = `
+        <span class="empty-state-icon">🔍💔</span>
+        <p class="empty-state-message"></p>
+    `;
+    empty.querySelector('.empty-state-message').textContent = message;
+
+    if (buttonLabel) {
+        const button = document.createElement('button');
+        button.className = 'empty-state-btn';
+        button.textContent = buttonLabel;
+        button.addEventListener('click', onClick);
+        empty.appendChild(button);
+    }
+
+    return empty;
+}
+
+// Long lists are shown a page at a time, with more added as the visitor scrolls down
+const CARDS_PER_PAGE = 24;
+
+// What each rendered grid is showing - { videos, searchTokens, shown }
+const gridStates = new WeakMap();
+
+// Render a list of videos as cards into a grid, starting with the first `count`
+function renderCards(grid, videos, searchTokens = [], count = CARDS_PER_PAGE) {
+    grid.innerHTML = '';
+    gridStates.set(grid, { videos, searchTokens, shown: 0 });
+    showMoreCards(grid, count);
+}
+
+// Add the next page of cards, and a "Show more" button while there are any left.
+// The button doubles as the infinite-scroll trigger when it comes into view.
+function showMoreCards(grid, count = CARDS_PER_PAGE) {
+    const state = gridStates.get(grid);
+    grid.querySelector('.load-more')?.remove();
+
+    const cards = state.videos.slice(state.shown, state.shown + count)
+        .map(video => createVideoCard(video, video.index, state.searchTokens));
+    cards.forEach(card => {
+        grid.appendChild(card);
+        observeCard(card);
+    });
+    state.shown += cards.length;
+
+    const remaining = state.videos.length - state.shown;
+    if (remaining > 0) {
+        const more = el('button', { className: 'pill-btn load-more', text: t('grid.showMore', { count: remaining }), attrs: { type: 'button' } });
+        more.addEventListener('click', () => {
+            const firstNew = showMoreCards(grid)[0];
+            firstNew?.querySelector('.card-link').focus();
+        });
+        grid.appendChild(more);
+        loadMoreObserver?.observe(more);
+    }
+    return cards;
+}
+
+// Cards start loading their thumbnail, view count and metadata once they're this close to the screen
+const NEAR_VIEWPORT_MARGIN = '300px';
+
+const cardObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            cardObserver.unobserve(entry.target);
+            onCardNearViewport(entry.target);
+        });
+    }, { rootMargin: NEAR_VIEWPORT_MARGIN })
+    : null;
+
+const loadMoreObserver = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting || !entry.target.isConnected) return;
+            loadMoreObserver.unobserve(entry.target);
+            showMoreCards(entry.target.closest('.video-grid'));
+        });
+    }, { rootMargin: NEAR_VIEWPORT_MARGIN })
+    : null;
+
+function observeCard(card) {
+    if (cardObserver) cardObserver.observe(card);
+    else onCardNearViewport(card);
+}
+
+// Cards that came into range, handled together so their view counts share a request
+const nearCards = new Set();
+let nearCardsTimer = null;
+
+function onCardNearViewport(card) {
+    card.dataset.near = 'true';
+    loadThumbnail(card.querySelector('.video-thumbnail'));
+
+    nearCards.add(card);
+    clearTimeout(nearCardsTimer);
+    nearCardsTimer = setTimeout(() => {
+        const cards = [...nearCards].filter(c => c.isConnected);
+        nearCards.clear();
+        updateCardMetadata(cards);
+        updateViewCounts(getWorkerViewIds(cards.map(c => cardVideos.get(c))));
+    }, 50);
+}
+
+// Emoji for the tags we know, everything else gets a plain label
+const TAG_ICONS = {
+    music: '🎤',
+    food: '🍦',
+    dance: '💃',
+    life: '⭐',
+};
+
+// Every tag in the catalog with how many videos have it, most used first
+function getTagCounts(videos) {
+    const counts = new Map();
+    videos.forEach(video => {
+        parseTags(video.tags).forEach(tag => {
+            const key = tag.toLowerCase();
+            if (!counts.has(key)) counts.set(key, { tag, count: 0 });
+            counts.get(key).count++;
+        });
+    });
+    return [...counts.entries()]
+        .map(([key, { tag, count }]) => ({ key, tag, count }))
+        .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+// Build the tag buttons from whatever tags the sheet actually uses
+function renderTagFilters() {
+    const container = document.querySelector('.tag-filters');
+    // Rebuilding drops focus, so remember which button had it
+    const focused = container.contains(document.activeElement) ? document.activeElement : null;
+    const focusedSelector = focused && (focused.classList.contains('tag-mode-btn')
+        ? '.tag-mode-btn'
+        : `[data-tag="${CSS.escape(focused.dataset.tag)}"]`);
+
+    const tags = getTagCounts(videoCatalog);
+    // Tags picked from a shared link stay visible (and removable) even if no video has them now
+    filterState.tags.forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!tags.some(t => t.key === key)) tags.push({ key, tag, count: 0 });
+    });
+
+    const button = (key, text) => el('button', { className: 'tag-btn', text, attrs: { type: 'button', 'data-tag': key } });
+    container.replaceChildren(
+        button('', t('tags.all', { count: videoCatalog.length })),
+        ...tags.map(({ key, tag, count }) => button(key, `${TAG_ICONS[key] || '🏷️'} ${tag} (${count})`)),
+        el('button', { className: 'tag-btn tag-mode-btn', text: t('tags.matchAll'), attrs: { type: 'button', title: t('tags.matchAllHint') } }),
+    );
+
+    updateTagButtons();
+    if (focusedSelector) container.querySelector(focusedSelector)?.focus();
+}
+
+// Reflect the selected tags and AND/OR mode on the buttons
+function updateTagButtons() {
+    const selected = new Set(filterState.tags.map(tag => tag.toLowerCase()));
+    document.querySelectorAll('.tag-filters .tag-btn').forEach(btn => {
+        if (btn.classList.contains('tag-mode-btn')) {
+            btn.setAttribute('aria-pressed', String(filterState.tagMode === 'and'));
+            // Only matters once there's more than one tag to combine
+            btn.hidden = selected.size < 2;
+        } else {
+            btn.setAttribute('aria-pressed', String(btn.dataset.tag ? selected.has(btn.dataset.tag) : !selected.size));
+        }
+    });
+}
+
+// Hash for the Home view with the current tag selection, e.g. "#/?tags=music,dance&mode=and"
+function getHomeHash() {
+    if (!filterState.tags.length) return '#/';
+    const tags = filterState.tags.map(encodeURIComponent).join(',');
+    return filterState.tagMode === 'and' ? `#/?tags=${tags}&mode=and` : `#/?tags=${tags}`;
+}
+
+function applyTagFilter(tags, mode) {
+    filterState.tags = parseTags(tags.join(','));
+    filterState.tagMode = mode === 'and' ? 'and' : 'or';
+    renderTagFilters();
+    renderVideoGrid();
+}
+
+// Change the tag selection and put it in the URL so the filtered view can be shared
+function setTagFilter(tags, mode) {
+    applyTagFilter(tags, mode);
+    if (!parseRoute(location.hash).videoKey) history.replaceState(null, '', getHomeHash());
+}
+
+// Render the catalog into the Home grid, applying the active search and tags
+function renderVideoGrid() {
+    const grid = document.querySelector('.view[data-view="home"] > .video-grid');
+    const tokens = tokenizeQuery(filterState.query);
+    const videos = sortVideos(videoCatalog.filter(video =>
+        matchesTags(video, filterState.tags, filterState.tagMode) && matchesSearch(video, tokens)));
+
+    if (!videos.length) {
+        grid.innerHTML = '';
+        const message = filterState.query
+            ? t('empty.search', { query: filterState.query })
+            : t(filterState.tags.length ? 'empty.tags' : 'empty.none');
+        grid.appendChild(createEmptyState(message, t('empty.showAll'), () => {
+            searchInput.value = '';
+            filterState.query = '';
+            setTagFilter([], filterState.tagMode);
+        }));
+        return;
+    }
+
+    renderCards(grid, videos, tokens);
+
+    // Sorting by views needs every count, not just the ones for cards on screen
+    if (sortOrder === 'views') {
+        updateViewCounts(getWorkerViewIds(videos)).then(() => {
+            // Live counts can change the order
+            if (gridStates.get(grid)?.videos === videos) resortGrid(grid);
+        });
+    }
+}
+
+// gviz sends date cells as the string "Date(2025,10,3)" (months are zero-based)
+function parseGvizDate(value) {
+    const match = String(value).match(/^Date\((\d+),(\d+),(\d+)(?:,(\d+),(\d+),(\d+))?\)$/);
+    if (!match) return null;
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(n => Number(n || 0));
+    return new Date(year, month, day, hours, minutes, seconds);
+}
+
+// Read a gviz cell, turning its date strings into real dates
+function parseCellValue(cell) {
+    if (cell.v === null || cell.v === undefined) return cell.f || '';
+    return parseGvizDate(cell.v) || cell.v;
+}
+
+// Parse a date from the sheet - gviz dates, Date objects or plain text like "2025-11-03"
+function parseSheetDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    const date = parseGvizDate(value) || new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Results of the last sheet check, shown in the ?debug=1 panel
+let sheetReport = null;
+
+// Work out which schema field each column holds from its header text (SHEET_SCHEMA is in
+// catalog-schema.js) - a column in one language gets a locale too, and its values go on
+// the video as e.g. "title_es"
+function resolveColumns(headers) {
+    const lookup = getSchemaHeaders(Object.keys(MESSAGES));
+
+    const seen = new Set();
+    const columns = headers.map((header, index) => {
+        const match = lookup.get(normalizeHeader(header));
+        if (!match) return { header, index, field: null };
+        const property = match.locale ? `${match.field}_${match.locale}` : match.field;
+        if (seen.has(property)) {
+            return { header, index, field: null, duplicateOf: property };
+        }
+        seen.add(property);
+        return { header, index, ...match, property };
+    });
+
+    const missing = Object.keys(SHEET_SCHEMA).filter(field => SHEET_SCHEMA[field].required && !seen.has(field));
+    return { columns, missing };
+}
+
+// Convert one cell to its schema type - returns { value } or { error }
+function coerceField(field, raw) {
+    const type = SHEET_SCHEMA[field].type;
+
+    if (type === 'number') {
+        if (typeof raw === 'number') return { value: raw };
+        const value = parseViewCount(raw);
+        if (!value && !/^\s*0+\s*$/.test(String(raw))) return { error: `"${raw}" is not a number` };
+        return { value };
+    }
+    if (type === 'url') {
+        const value = absoluteWebUrl(raw);
+        if (!value) return { error: `"${String(raw).trim()}" is not a web link (http:// or https://)` };
+        return { value };
+    }
+    if (type === 'date') {
+        const value = parseSheetDate(raw);
+        if (!value) return { error: `"${raw}" is not a date` };
+        return { value };
+    }
+    return { value: String(raw).trim() };
+}
+
+// Validate a table of { headers, rows } against the schema.
+// Returns the good videos plus a report of every problem, by sheet row number.
+function parseCatalogTable(table) {
+    const { columns, missing } = resolveColumns(table.headers);
+    const report = {
+        checkedAt: Date.now(),
+        columns,
+        missing,
+        rows: [],
+        videoCount: 0,
+    };
+
+    if (missing.length) {
+        sheetReport = report;
+        throw new Error(`Sheet is missing required column(s): ${missing.join(', ')}`);
+    }
+
+    const videos = [];
+    table.rows.forEach((cells, index) => {
+        // Header is row 1, so data starts at row 2
+        const rowNumber = index + 2;
+        const isBlank = cells.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
+        if (isBlank) return;
+
+        const video = {};
+        const errors = [];
+        const warnings = [];
+
+        columns.forEach(column => {
+            const raw = cells[column.index];
+            const isEmpty = raw === null || raw === undefined || String(raw).trim() === '';
+
+            if (!column.field) {
+                // Keep extra columns around under their header name
+                if (!isEmpty && column.header && !column.duplicateOf) video[normalizeHeader(column.header)] = raw;
+                return;
+            }
+            if (isEmpty) return;
+
+            const { value, error } = coerceField(column.field, raw);
+            if (error) {
+                warnings.push(`${column.header}: ${error}`);
+            } else {
+                video[column.property] = value;
+            }
+        });
+
+        Object.keys(SHEET_SCHEMA).forEach(field => {
+            if (SHEET_SCHEMA[field].required && !video[field]) errors.push(`missing ${field}`);
+        });
+        if (video.videoUrl && !getVideoPlatform(video.videoUrl)) {
+            warnings.push('video link isn\'t from a supported video site, so it will open in a new tab');
+        }
+
+        if (errors.length || warnings.length) {
+            report.rows.push({ row: rowNumber, title: video.title || '', errors, warnings });
+        }
+        if (errors.length) return;
+
+        video.date = video.date || null;
+        video.index = videos.length;
+        video.key = getVideoKey(video);
+        videos.push(video);
+    });
+
+    report.videoCount = videos.length;
+    sheetReport = report;
+    return videos;
+}
+
+// Turn the gviz response into a table of header texts and plain cell values.
+// Sheets with a detected header row give us column labels; otherwise the
+// first row holds the headers.
+function gvizToTable(data) {
+    const rows = (data.table.rows || []).map(row => (row.c || []).map(cell => cell ? parseCellValue(cell) : null));
+    const labels = data.table.cols.map(col => (col.label || '').trim());
+
+    if (labels.some(Boolean)) {
+        return { headers: labels, rows };
+    }
+    return { headers: (rows[0] || []).map(value => String(value ?? '')), rows: rows.slice(1) };
+}
+
+// Split CSV text into rows of cells, handling quoted cells with commas, quotes and newlines
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Turn a list of plain objects into a table, with every key any object uses as a column
+function recordsToTable(records) {
+    const headers = [];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
+        });
+    });
+    return { headers, rows: records.map(record => headers.map(header => record[header] ?? null)) };
+}
+
+// Text of the first descendant with this tag name, ignoring XML namespaces
+function xmlText(parent, localName) {
+    return parent.getElementsByTagNameNS('*', localName)[0]?.textContent.trim()
+        || parent.getElementsByTagName(localName)[0]?.textContent.trim()
+        || '';
+}
+
+function xmlAttr(parent, localName, attribute) {
+    const el = parent.getElementsByTagNameNS('*', localName)[0] || parent.getElementsByTagName(localName)[0];
+    return el?.getAttribute(attribute) || '';
+}
+
+// Read YouTube's Atom channel feed (or a plain RSS feed) into video records
+function feedToRecords(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid feed XML');
+
+    const entries = Array.from(doc.getElementsByTagNameNS('*', 'entry'));
+    if (entries.length) {
+        return entries.map(entry => {
+            const link = Array.from(entry.getElementsByTagNameNS('*', 'link'))
+                .find(el => (el.getAttribute('rel') || 'alternate') === 'alternate');
+            return {
+                title: xmlText(entry, 'title'),
+                videoUrl: link?.getAttribute('href') || '',
+                date: xmlText(entry, 'published'),
+                description: xmlText(entry, 'description'),
+                thumbnail: xmlAttr(entry, 'thumbnail', 'url'),
+                views: xmlAttr(entry, 'statistics', 'views'),
+            };
+        });
+    }
+
+    return Array.from(doc.getElementsByTagName('item')).map(item => ({
+        title: xmlText(item, 'title'),
+        videoUrl: xmlText(item, 'link'),
+        date: xmlText(item, 'pubDate'),
+        description: xmlText(item, 'description'),
+        thumbnail: xmlAttr(item, 'thumbnail', 'url') || xmlAttr(item, 'enclosure', 'url'),
+    }));
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.text();
+}
+
+// Data source adapters - each fetches its source and returns a { headers, rows }
+// table, which parseCatalogTable turns into the same video objects for all of them
+const DATA_SOURCES = {
+    // Google Sheets gviz endpoint (the original setup)
+    gviz: async ({ url }) => {
+        const text = await fetchText(url);
+
+        // Google's response is wrapped in a callback, extract the JSON
+        const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\(([\s\S]*)\);?$/);
+        if (!jsonMatch) throw new Error('Invalid response format');
+
+        return gvizToTable(JSON.parse(jsonMatch[1]));
+    },
+
+    // Sheet published as CSV - first row is the header
+    csv: async ({ url }) => {
+        const [headers = [], ...rows] = parseCSV(await fetchText(url));
+        return { headers, rows };
+    },
+
+    // Static JSON file - an array of video objects, or { "videos": [...] }
+    json: async ({ url }) => {
+        const data = JSON.parse(await fetchText(url));
+        const records = Array.isArray(data) ? data : data?.videos;
+        if (!Array.isArray(records)) throw new Error('JSON has no videos list');
+        return recordsToTable(records.filter(record => record && typeof record === 'object'));
+    },
+
+    // YouTube channel Atom feed or any RSS feed
+    rss: async ({ url, proxy = '' }) => {
+        if (!url) throw new Error('No feed URL configured');
+        const target = proxy ? proxy + encodeURIComponent(url) : url;
+        return recordsToTable(feedToRecords(await fetchText(target)));
+    },
+};
+
+// The adapter and its options for this visit, after any ?source=/?src= overrides
+function getDataSource() {
+    const params = new URLSearchParams(location.search);
+    const type = DATA_SOURCES[params.get('source')] ? params.get('source') : DATA_SOURCE_CONFIG.type;
+    const options = { ...DATA_SOURCE_CONFIG[type] };
+
+    // Only files from this site, so a shared link can't swap in someone else's catalog
+    const src = params.get('src');
+    if (src) {
+        const url = new URL(src, location.href);
+        if (url.origin === location.origin) options.url = url.href;
+    }
+
+    return { type, options };
+}
+
+// Fetch the catalog from the configured source and parse it into video objects
+async function fetchCatalog() {
+    const { type, options } = getDataSource();
+    const table = await DATA_SOURCES[type](options);
+    const videos = parseCatalogTable(table);
+    sheetReport.source = type;
+    renderDebugPanel();
+    return videos;
+}
+
+// Spreadsheet column name for a zero-based index - 0 -> "A", 25 -> "Z", 26 -> "AA"
+function getColumnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+// Debug panel listing sheet problems - only shown with ?debug=1 in the URL.
+// It's for whoever edits the sheet, so it isn't translated.
+const DEBUG_MODE = new URLSearchParams(location.search).get('debug') === '1';
+
+function renderDebugPanel() {
+    if (!DEBUG_MODE || !sheetReport) return;
+
+    let panel = document.querySelector('.debug-panel');
+    if (!panel) {
+        panel = document.createElement('details');
+        panel.className = 'debug-panel';
+        document.querySelector('.views').before(panel);
+    }
+    panel.innerHTML = '';
+
+    const { columns, missing, rows, videoCount } = sheetReport;
+    const invalid = rows.filter(row => row.errors.length).length;
+    const warned = rows.filter(row => !row.errors.length).length;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `🛠️ Sheet check (${sheetReport.source || getDataSource().type}): ${videoCount} videos, ${invalid} invalid rows, ${warned} rows with warnings`;
+    panel.appendChild(summary);
+
+    // Which column feeds which field
+    const columnList = document.createElement('ul');
+    columnList.className = 'debug-columns';
+    columns.forEach(column => {
+        const item = document.createElement('li');
+        const letter = getColumnLetter(column.index);
+        if (column.field) {
+            item.textContent = `${letter} "${column.header}" → ${column.field}${column.locale ? ` (${column.locale})` : ''}`;
+        } else if (column.duplicateOf) {
+            item.textContent = `${letter} "${column.header}" → ignored (second ${column.duplicateOf} column)`;
+            item.className = 'debug-warning';
+        } else {
+            item.textContent = `${letter} "${column.header}" → extra column (not used)`;
+        }
+        columnList.appendChild(item);
+    });
+    missing.forEach(field => {
+        const item = document.createElement('li');
+        item.className = 'debug-error';
+        item.textContent = `Missing required column: ${field}`;
+        columnList.appendChild(item);
+    });
+    panel.appendChild(columnList);
+
+    // Row by row problems
+    const rowList = document.createElement('ul');
+    rowList.className = 'debug-rows';
+    rows.forEach(({ row, title, errors, warnings }) => {
+        const label = `Row ${row}${title ? ` ("${title}")` : ''}`;
+        errors.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = 'debug-error';
+            item.textContent = `❌ ${label} skipped: ${problem}`;
+            rowList.appendChild(item);
+        });
+        warnings.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = 'debug-warning';
+            item.textContent = `⚠️ ${label}: ${problem}`;
+            rowList.appendChild(item);
+        });
+    });
+    if (!rows.length) {
+        const item = document.createElement('li');
+        item.textContent = '✅ Every row looks good!';
+        rowList.appendChild(item);
+    }
+    panel.appendChild(rowList);
+}
+
+// Save the catalog for offline visits, leaving out values fetched per visit
+function saveCatalogCache(videos) {
+    const saved = videos.map(({ liveViews, liveStats, platformThumbnail, platformPlaceholder, ...video }) => video);
+    writeCache(CACHE_KEYS.catalog, { savedAt: Date.now(), source: getDataSource().type, videos: saved });
+}
+
+// Last catalog we loaded successfully, with dates turned back into Date objects
+function readCatalogCache() {
+    const cached = readCache(CACHE_KEYS.catalog);
+    if (!cached || !Array.isArray(cached.videos)) return null;
+
+    // Don't mix catalogs when testing against another source
+    if ((cached.source || 'gviz') !== getDataSource().type) return null;
+    cached.videos.forEach(video => {
+        video.date = parseSheetDate(video.date);
+
+        // Catalogs cached before the sheet schema used "videourl"
+        if (video.videourl && !video.videoUrl) video.videoUrl = video.videourl;
+        delete video.videourl;
+    });
+    return cached;
+}
+
+// Fill in cached view counts and Vimeo thumbnails so cards render complete right away
+function applyCachedMetadata(videos) {
+    const views = readCache(CACHE_KEYS.views) || {};
+    const metadata = readCache(CACHE_KEYS.metadata) || {};
+    videos.forEach(video => {
+        const platform = getVideoPlatform(video.videoUrl || '');
+        if (usesWorkerViews(platform?.platform) && views[platform.id]) {
+            const { views: count, likes, duration, publishedAt } = views[platform.id];
+            video.liveViews = count;
+            video.liveStats = { likes, duration, publishedAt };
+        }
+        if (video.key) applyMetadata(video, metadata[video.key]);
+    });
+}
+
+// Swap in a new catalog and redraw whatever is on screen
+function setCatalog(videos) {
+    applyCachedMetadata(videos);
+    videoCatalog = videos;
+    renderTagFilters();
+    renderVideoGrid();
+    renderContinueWatching();
+    if (currentView !== 'home') showView(currentView);
+
+    // A shared link may have opened the player before we knew the title or what's related
+    const modal = document.querySelector('.video-player-modal');
+    const playing = activePlayerKey && videos.find(video => video.key === activePlayerKey);
+    if (modal && playing) {
+        modal.querySelector('.video-player-title').textContent = localizedField(playing, 'title') || t('player.nowPlaying');
+        renderRelatedRail(modal.querySelector('.related-rail'), playing);
+    }
+}
+
+// Banner shown while we're showing saved videos instead of fresh ones
+function showOfflineBanner(savedAt) {
+    let banner = document.querySelector('.offline-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.className = 'offline-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <span class="offline-banner-text"></span>
+            <button class="offline-banner-retry"></button>
+        `;
+        banner.querySelector('.offline-banner-retry').addEventListener('click', () => loadVideosFromSheet());
+        document.querySelector('.views').prepend(banner);
+    }
+
+    const time = new Date(savedAt).toLocaleString(formatLocale, {
+        month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
+    banner.querySelector('.offline-banner-text').textContent = t('offline.saved', { time });
+    banner.querySelector('.offline-banner-retry').textContent = t('offline.retry');
+}
+
+function hideOfflineBanner() {
+    document.querySelector('.offline-banner')?.remove();
+}
+
+// When the catalog was last saved (or fetched fresh this visit)
+let catalogSavedAt = null;
+
+// Render the cached catalog straight away - returns whether there was one
+function loadCachedCatalog() {
+    const cached = readCatalogCache();
+    if (!cached) return false;
+
+    catalogSavedAt = cached.savedAt;
+    setCatalog(cached.videos);
+    animateCardsIn();
+    return true;
+}
+
+// Fetch and render videos from the data source, falling back to the saved copy
+async function loadVideosFromSheet() {
+    const hadCatalog = videoCatalog.length > 0;
+
+    try {
+        const videos = await fetchCatalog();
+
+        // Only rebuild if we got data
+        if (videos.length) {
+            saveCatalogCache(videos);
+            catalogSavedAt = Date.now();
+            setCatalog(videos);
+
+            // Animate cards in on first load, not when fresh data replaces cached cards
+            if (!hadCatalog) animateCardsIn();
+            hideOfflineBanner();
+        } else if (catalogSavedAt) {
+            // Nothing usable came back (?debug=1 says why) - keep showing the saved videos
+            showOfflineBanner(catalogSavedAt);
+        } else {
+            const grid = document.querySelector('.view[data-view="home"] > .video-grid');
+            grid.innerHTML = '';
+            grid.appendChild(createEmptyState(t('empty.none')));
+        }
+
+    } catch (error) {
+        console.log(`Could not load videos from ${getDataSource().type}:`, error);
+        renderDebugPanel();
+
+        if (catalogSavedAt) {
+            showOfflineBanner(catalogSavedAt);
+        } else {
+            const grid = document.querySelector('.view[data-view="home"] > .video-grid');
+            grid.innerHTML = '';
+            grid.appendChild(createEmptyState(t('load.failed'), t('load.retry'), () => loadVideosFromSheet()));
+        }
+    }
+}
+
+// Refresh when the connection comes back, and flag saved content when it drops
+window.addEventListener('online', () => loadVideosFromSheet());
+window.addEventListener('offline', () => {
+    if (catalogSavedAt) showOfflineBanner(catalogSavedAt);
+});
+
+// Cards come in one after another, but never more than this long after the first
+const CARD_ANIMATION_MAX_DELAY = 1000;
+
+// Animate cards entrance
+function animateCardsIn() {
+    if (!motionAllowed()) return;
+    document.querySelectorAll('.video-card').forEach((card, index) => {
+        card.style.opacity = '0';
+        card.style.transform = 'translateY(20px)';
+
+        setTimeout(() => {
+            card.style.transition = 'all 0.5s ease';
+            card.style.opacity = '1';
+            card.style.transform = 'translateY(0)';
+        }, Math.min(100 + (index * 100), CARD_ANIMATION_MAX_DELAY));
+    });
+}
+
+// IDs of the videos in a list whose counts come from the views worker
+function getWorkerViewIds(videos) {
+    const ids = new Set();
+    videos.forEach(video => {
+        const parsed = video && !video.unavailable && video.key && parseVideoKey(video.key);
+        if (parsed && usesWorkerViews(parsed.platform)) ids.add(parsed.id);
+    });
+    return [...ids];
+}
+
+// Fetch and update view counts for YouTube videos
+async function updateViewCounts(ids) {
+    // Fresh cached counts are used as they are, everything else goes to the worker in batches
+    const cachedViews = readCache(CACHE_KEYS.views) || {};
+    const stale = [];
+    ids.forEach(id => {
+        if (isFreshEntry(cachedViews[id], VIEWS_MAX_AGE)) {
+            setLiveStats(id, cachedViews[id]);
+        } else if (failedViewIds.has(id)) {
+            showFallbackViews(id);
+        } else {
+            stale.push(id);
+        }
+    });
+    if (!stale.length) return;
+
+    const stats = await fetchViewStats(stale);
+    stale.forEach(id => {
+        if (stats[id]) setLiveStats(id, stats[id]);
+        else showFallbackViews(id);
+    });
+}
+
+// The worker had nothing for this video - fall back to the last count we had, or the sheet's
+function showFallbackViews(videoId) {
+    document.querySelectorAll('.video-card[data-platform]').forEach(card => {
+        if (card.dataset.videoId !== videoId || !usesWorkerViews(card.dataset.platform)) return;
+        const video = cardVideos.get(card);
+        const viewCountEl = card.querySelector('.view-count');
+        if (!viewCountEl || video?.unavailable || video?.liveViews != null) return;
+        viewCountEl.textContent = video?.views ? formatViewsText(video.views) : t('card.viewsUnknown');
+        viewCountEl.title = t('card.viewsFailed');
+    });
+}
+
+// Store fetched worker stats ({ views, likes, duration, publishedAt }) on the video and
+// update every card showing it - the grid may have been re-rendered while the request was in flight
+function setLiveStats(videoId, stats) {
+    const { views, likes, duration, publishedAt } = stats;
+    const apply = (video) => {
+        video.liveViews = views;
+        video.liveStats = { likes, duration, publishedAt };
+    };
+
+    videoCatalog.forEach(video => {
+        const parsed = video.key && parseVideoKey(video.key);
+        if (parsed?.id === videoId && usesWorkerViews(parsed.platform)) apply(video);
+    });
+
+    document.querySelectorAll('.video-card[data-platform]').forEach(card => {
+        if (card.dataset.videoId !== videoId || !usesWorkerViews(card.dataset.platform)) return;
+        const video = cardVideos.get(card);
+        if (!video) return;
+        apply(video);
+        const viewCountEl = card.querySelector('.view-count');
+        if (viewCountEl && !video.unavailable) {
+            viewCountEl.textContent = formatViewsText(views);
+            viewCountEl.removeAttribute('title');
+        }
+        renderCardStats(card, video);
+    });
+}
+
+// Fill in thumbnails and stats from the metadata store for platforms that have one (Vimeo)
+async function updateCardMetadata(cards) {
+    const fetchPromises = cards.filter(card => VIDEO_PLATFORMS[card.dataset.platform]?.fetchMetadata).map(async (card) => {
+        const video = cardVideos.get(card);
+        const metadata = await getVideoMetadata(card.dataset.platform, card.dataset.videoId);
+        if (!metadata || !video) return;
+
+        applyMetadata(video, metadata);
+        renderCardStats(card, video);
+        // Swap in the platform's thumbnail unless the card already has one showing
+        const thumbnailEl = card.querySelector('.video-thumbnail');
+        if (metadata.thumbnail && !thumbnailEl.querySelector('.thumbnail-img.loaded')) {
+            setThumbnail(thumbnailEl, getThumbnailSources(video));
+        }
+    });
+
+    await Promise.all(fetchPromises);
+}
+
+// Favorites, saved in localStorage keyed by video key (platform + ID)
+const FAVES_STORAGE_KEY = 'vivi-faves';
+
+// Load saved faves - { [key]: snapshot of the video when it was faved }
+function loadFaves() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FAVES_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return {};
+
+        // Faves saved before the sheet schema used "videourl"
+        Object.values(saved).forEach(fave => {
+            if (fave.videourl && !fave.videoUrl) fave.videoUrl = fave.videourl;
+            delete fave.videourl;
+        });
+        return saved;
+    } catch (error) {
+        console.log('Could not read faves', error);
+        return {};
+    }
+}
+
+let faves = loadFaves();
+
+function saveFaves() {
+    try {
+        localStorage.setItem(FAVES_STORAGE_KEY, JSON.stringify(faves));
+    } catch (error) {
+        console.log('Could not save faves', error);
+    }
+}
+
+function isFave(key) {
+    return Boolean(key && faves[key]);
+}
+
+// Keep just enough of the video to list it after it leaves the sheet
+function createFaveSnapshot(video) {
+    return {
+        key: video.key,
+        title: video.title || '',
+        tags: video.tags || '',
+        icon: video.icon || '',
+        videoUrl: video.videoUrl || '',
+        thumbnail: video.thumbnail || video.platformThumbnail || '',
+        savedAt: new Date().toISOString(),
+    };
+}
+
+function toggleFave(video) {
+    if (isFave(video.key)) {
+        delete faves[video.key];
+    } else {
+        faves[video.key] = createFaveSnapshot(video);
+    }
+    saveFaves();
+    updateFaveButtons(video.key);
+
+    // Keep the Faves list in step when hearts are toggled from it
+    if (currentView === 'faves') showView('faves');
+}
+
+// Sync every heart for a video (card and player modal)
+function updateFaveButtons(key) {
+    document.querySelectorAll('.fave-btn').forEach(btn => {
+        if (btn.dataset.key !== key) return;
+        const saved = isFave(key);
+        btn.textContent = saved ? '💖' : '🤍';
+        btn.classList.toggle('active', saved);
+        btn.setAttribute('aria-pressed', saved);
+        btn.title = t(saved ? 'faves.remove' : 'faves.add');
+    });
+}
+
+// Heart toggle button for a video
+function createFaveButton(video) {
+    const btn = document.createElement('button');
+    btn.className = 'fave-btn';
+    btn.type = 'button';
+    btn.dataset.key = video.key;
+    btn.setAttribute('aria-label', t('faves.label', { title: localizedField(video, 'title') || t('video.this') }));
+
+    const saved = isFave(video.key);
+    btn.textContent = saved ? '💖' : '🤍';
+    btn.classList.toggle('active', saved);
+    btn.setAttribute('aria-pressed', saved);
+    btn.title = t(saved ? 'faves.remove' : 'faves.add');
+
+    btn.addEventListener('click', (e) => {
+        // Don't open the video underneath
+        e.stopPropagation();
+        toggleFave(video);
+    });
+
+    return btn;
+}
+
+// Find a video by key in the catalog, falling back to a saved fave
+function findVideo(key) {
+    return videoCatalog.find(video => video.key === key) || faves[key] || null;
+}
+
+// Folder of per-video share pages made by tools/build-share-pages.js. They carry the
+// Open Graph tags chat apps unfurl, then send the visitor on to "?v=<key>&t=<seconds>".
+const SHARE_PAGES_DIR = 'v';
+
+// Link to share for a video, optionally starting `startAt` seconds in. Video files have
+// no share page (their key is a whole URL), so they link to the site directly.
+function getShareUrl(videoKey, startAt = 0) {
+    const isFile = parseVideoKey(videoKey)?.platform === 'file';
+    const url = isFile
+        ? new URL(location.pathname, location.origin)
+        : new URL(`${SHARE_PAGES_DIR}/${encodeURIComponent(videoKey)}.html`, location.href);
+    if (isFile) url.searchParams.set('v', videoKey);
+    if (startAt >= 1) url.searchParams.set('t', Math.floor(startAt));
+    return url.href;
+}
+
+// The system share sheet where there is one, otherwise copy the link
+async function shareVideo(video, startAt = 0) {
+    const url = getShareUrl(video.key, startAt);
+    const title = localizedField(video, 'title') || "Vivi's Vlog";
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title, url });
+            return;
+        } catch (error) {
+            // Closing the share sheet isn't a failure
+            if (error.name === 'AbortError') return;
+            console.log('Could not open the share sheet', error);
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showY2KAlert(t('share.copied'));
+    } catch (error) {
+        console.log('Could not copy the link', error);
+        showY2KAlert(t('share.copyThis', { url }));
+    }
+}
+
+// Share button for a video - getStartAt() gives the time to start the link at
+function createShareButton(video, getStartAt = () => 0) {
+    const btn = el('button', {
+        className: 'share-btn',
+        text: '🔗',
+        attrs: { type: 'button', title: t('share.button'), 'aria-label': t('share.label', { title: localizedField(video, 'title') || t('video.this') }) },
+    });
+    btn.addEventListener('click', (e) => {
+        // Don't open the video underneath
+        e.stopPropagation();
+        shareVideo(video, getStartAt());
+    });
+    return btn;
+}
+
+// Download faves as a JSON file
+function exportFaves() {
+    const data = {
+        type: 'vivi-faves',
+        exportedAt: new Date().toISOString(),
+        faves: Object.values(faves),
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'vivi-faves.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Merge faves from an exported JSON file - accepts the export format or a plain array
+async function importFaves(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const entries = Array.isArray(data) ? data : data?.faves;
+        if (!Array.isArray(entries)) throw new Error('No faves list in file');
+
+        let imported = 0;
+        entries.forEach(entry => {
+            if (!entry || typeof entry.key !== 'string' || !parseVideoKey(entry.key)) return;
+            faves[entry.key] = {
+                key: entry.key,
+                title: String(entry.title || ''),
+                tags: String(entry.tags || ''),
+                icon: String(entry.icon || ''),
+                videoUrl: String(entry.videoUrl || entry.videourl || ''),
+                thumbnail: String(entry.thumbnail || ''),
+                savedAt: entry.savedAt || new Date().toISOString(),
+            };
+            imported++;
+        });
+
+        saveFaves();
+        showView('faves');
+        showY2KAlert(t('faves.imported', { count: imported }));
+    } catch (error) {
+        console.log('Could not import faves', error);
+        showY2KAlert(t('faves.importFailed'));
+    }
+}
+
+// Continue watching - playback positions saved in localStorage keyed by video key
+const PROGRESS_STORAGE_KEY = 'vivi-progress';
+
+// Save the position every few seconds while a video plays
+const PROGRESS_SAVE_INTERVAL = 5000;
+
+// Skip the first few seconds, and treat the last stretch as finished
+const MIN_RESUME_SECONDS = 5;
+const FINISHED_SECONDS = 15;
+const FINISHED_FRACTION = 0.95;
+
+// Only the most recent positions are kept
+const MAX_PLAYBACK_POSITIONS = 50;
+
+// Videos shown in the Home "Continue watching" row
+const CONTINUE_WATCHING_LIMIT = 10;
+
+// { [key]: { time, duration, savedAt } } - times in seconds
+function loadPlaybackPositions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.log('Could not read playback positions', error);
+        return {};
+    }
+}
+
+let playbackPositions = loadPlaybackPositions();
+
+function savePlaybackPositions() {
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(playbackPositions));
+    } catch (error) {
+        console.log('Could not save playback positions', error);
+    }
+}
+
+// Remember where a video is up to - or forget it once it's (nearly) finished
+function savePlaybackPosition(key, time, duration) {
+    if (!Number.isFinite(time) || !Number.isFinite(duration) || duration <= 0) return;
+
+    const finished = duration - time < FINISHED_SECONDS || time / duration > FINISHED_FRACTION;
+    if (finished) {
+        delete playbackPositions[key];
+    } else if (time >= MIN_RESUME_SECONDS) {
+        playbackPositions[key] = { time: Math.floor(time), duration: Math.round(duration), savedAt: Date.now() };
+    } else {
+        return;
+    }
+
+    // Drop the oldest positions once there are too many
+    const keys = Object.keys(playbackPositions)
+        .sort((a, b) => playbackPositions[b].savedAt - playbackPositions[a].savedAt);
+    keys.slice(MAX_PLAYBACK_POSITIONS).forEach(oldKey => delete playbackPositions[oldKey]);
+
+    savePlaybackPositions();
+    updateProgressBars(key);
+}
+
+// Seconds to start a video from, or 0 to start at the beginning
+function getResumeTime(key) {
+    return playbackPositions[key]?.time || 0;
+}
+
+// Bar along the bottom of a thumbnail showing how far the video was watched
+function setProgressBar(thumbnail, key) {
+    const position = key && playbackPositions[key];
+    let bar = thumbnail.querySelector('.watch-progress');
+    if (!position) {
+        bar?.remove();
+        return;
+    }
+
+    if (!bar) {
+        bar = el('div', { className: 'watch-progress' }, [el('span')]);
+        thumbnail.appendChild(bar);
+    }
+    const percent = Math.min(100, (position.time / position.duration) * 100);
+    bar.firstChild.style.width = `${percent}%`;
+}
+
+// Refresh progress bars on every card showing a video (or all of them)
+function updateProgressBars(key) {
+    document.querySelectorAll('.video-card').forEach(card => {
+        const video = cardVideos.get(card);
+        if (video && (!key || video.key === key)) {
+            setProgressBar(card.querySelector('.video-thumbnail'), video.key);
+        }
+    });
+}
+
+// Row of part-watched videos at the top of Home, most recently watched first
+function renderContinueWatching() {
+    const container = document.querySelector('.continue-watching');
+    const grid = container.querySelector('.video-grid');
+    const videos = Object.keys(playbackPositions)
+        .sort((a, b) => playbackPositions[b].savedAt - playbackPositions[a].savedAt)
+        .map(key => videoCatalog.find(video => video.key === key))
+        .filter(Boolean)
+        .slice(0, CONTINUE_WATCHING_LIMIT);
+
+    container.hidden = !videos.length;
+    if (!videos.length) {
+        grid.innerHTML = '';
+        return;
+    }
+    renderCards(grid, videos);
+}
+
+// Section heading for router-rendered views
+function createViewTitle(text) {
+    const heading = document.createElement('h2');
+    heading.className = 'view-title';
+    heading.textContent = text;
+    return heading;
+}
+
+// Create an empty grid to render cards into
+function createGrid() {
+    const grid = document.createElement('div');
+    grid.className = 'video-grid';
+    return grid;
+}
+
+// Videos view - the whole catalog grouped by tag
+function renderVideosView(section) {
+    section.appendChild(createViewTitle(t('view.videos', { count: videoCatalog.length })));
+
+    const groups = new Map();
+    videoCatalog.forEach(video => {
+        const tags = parseTags(video.tags);
+        (tags.length ? tags : [t('tags.other')]).forEach(tag => {
+            // "Music" and "music" share a section, titled the way it was first written
+            const key = tag.toLowerCase();
+            if (!groups.has(key)) groups.set(key, { tag, videos: [] });
+            groups.get(key).videos.push(video);
+        });
+    });
+
+    if (!groups.size) {
+        const grid = createGrid();
+        grid.appendChild(createEmptyState(t('empty.none')));
+        section.appendChild(grid);
+        return;
+    }
+
+    groups.forEach(({ tag, videos }) => {
+        const heading = document.createElement('h3');
+        heading.className = 'view-subtitle';
+        heading.textContent = `${tag} (${videos.length})`;
+
+        const playAll = el('button', { className: 'pill-btn play-all-btn', text: t('view.playAll'), attrs: { type: 'button' } });
+        playAll.addEventListener('click', () => playQueue(videos));
+
+        const grid = createGrid();
+        section.append(heading, playAll, grid);
+        renderCards(grid, videos);
+    });
+}
+
+// New view - newest first by date, then undated videos with the latest sheet rows first
+function renderNewView(section) {
+    section.appendChild(createViewTitle(t('view.new')));
+    const grid = createGrid();
+    section.appendChild(grid);
+
+    const dated = videoCatalog.filter(video => getVideoDate(video))
+        .sort((a, b) => getVideoDate(b) - getVideoDate(a));
+    const undated = videoCatalog.filter(video => !getVideoDate(video)).reverse();
+    const videos = [...dated, ...undated];
+    if (!videos.length) {
+        grid.appendChild(createEmptyState(t('empty.none')));
+        return;
+    }
+    renderCards(grid, videos);
+}
+
+// Faves view - saved videos, newest first, including ones gone from the sheet
+function renderFavesView(section) {
+    section.appendChild(createViewTitle(t('view.faves')));
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'view-toolbar';
+    toolbar.innerHTML = `
+        <button class="pill-btn faves-export"></button>
+        <button class="pill-btn faves-import"></button>
+        <input type="file" accept="application/json,.json" hidden>
+    `;
+    toolbar.querySelector('.faves-export').textContent = t('faves.export');
+    toolbar.querySelector('.faves-import').textContent = t('faves.import');
+    const fileInput = toolbar.querySelector('input');
+    toolbar.querySelector('.faves-export').addEventListener('click', exportFaves);
+    toolbar.querySelector('.faves-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importFaves(fileInput.files[0]);
+    });
+    section.appendChild(toolbar);
+
+    const grid = createGrid();
+    section.appendChild(grid);
+
+    const saved = Object.values(faves).sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    if (!saved.length) {
+        grid.appendChild(createEmptyState(t('empty.faves')));
+        return;
+    }
+
+    const available = [];
+    saved.forEach(snapshot => {
+        const video = videoCatalog.find(v => v.key === snapshot.key);
+        available.push(video || { ...snapshot, unavailable: true });
+    });
+    renderCards(grid, available);
+}
+
+// A <select> of [value, text] options
+function createSettingSelect(options, value, onChange) {
+    const select = el('select', {}, options.map(([key, text]) => el('option', { text, attrs: { value: key } })));
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+// Options for a { value: { label } } registry like THEMES, in the current language
+function getRegistryOptions(registry) {
+    return Object.entries(registry).map(([value, option]) => [value, t(option.label)]);
+}
+
+// Me view
+function renderMeView(section) {
+    section.appendChild(createViewTitle(t('view.me')));
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.appendChild(el('p', { className: 'panel-row' }, tParts('me.videoCount', {
+        count: videoCatalog.length,
+        videos: el('span', { className: 'panel-value', text: videoCatalog.length }),
+    })));
+
+    // Calm mode - stays on while the system asks for reduced motion
+    const calmInput = el('input', { attrs: { type: 'checkbox' } });
+    calmInput.checked = calmMode || reducedMotionQuery.matches;
+    calmInput.disabled = reducedMotionQuery.matches;
+    calmInput.addEventListener('change', () => setCalmMode(calmInput.checked));
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle' }, [
+        calmInput,
+        ` ${t('me.calm')}`,
+    ]));
+
+    // Language - "Automatic" goes by the browser's languages. Each is named in its own language.
+    const localeSelect = createSettingSelect([
+        ['auto', t('settings.auto')],
+        ...Object.entries(MESSAGES).map(([code, messages]) => [code, messages['locale.name']]),
+    ], localeSetting, setting => {
+        setLocale(setting);
+        // The Me view was just rebuilt in the new language
+        document.querySelector('.view[data-view="me"] .locale-select')?.focus();
+    });
+    localeSelect.classList.add('locale-select');
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle panel-select' }, [
+        `${t('me.language')} `,
+        localeSelect,
+    ]));
+
+    // Theme picker - "Automatic" follows the system's dark mode and contrast settings
+    const themeSelect = createSettingSelect([['auto', t('settings.auto')], ...getRegistryOptions(THEMES)],
+        themeSetting, setTheme);
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle panel-select' }, [
+        `${t('me.theme')} `,
+        themeSelect,
+    ]));
+
+    // Sparkles and the cursor trail
+    const effectsInput = el('input', { attrs: { type: 'checkbox' } });
+    effectsInput.checked = effectSettings.enabled;
+    effectsInput.addEventListener('change', () => setEffectSettings({ enabled: effectsInput.checked }));
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle' }, [
+        effectsInput,
+        ` ${t('me.effects')}`,
+    ]));
+
+    const densitySelect = createSettingSelect(getRegistryOptions(EFFECT_DENSITIES), effectSettings.density,
+        density => setEffectSettings({ density }));
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle panel-select' }, [
+        `${t('me.density')} `,
+        densitySelect,
+    ]));
+
+    const iconSelect = createSettingSelect(getRegistryOptions(EFFECT_ICON_SETS), effectSettings.icons,
+        icons => setEffectSettings({ icons }));
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle panel-select' }, [
+        `${t('me.icons')} `,
+        iconSelect,
+    ]));
+
+    const touchInput = el('input', { attrs: { type: 'checkbox' } });
+    touchInput.checked = effectSettings.touch;
+    touchInput.addEventListener('change', () => setEffectSettings({ touch: touchInput.checked }));
+    panel.appendChild(el('label', { className: 'panel-row panel-toggle' }, [
+        touchInput,
+        ` ${t('me.touch')}`,
+    ]));
+
+    section.appendChild(panel);
+}
+
+// Hash routes and the view each one shows
+const ROUTES = {
+    '/': 'home',
+    '/videos': 'videos',
+    '/new': 'new',
+    '/faves': 'faves',
+    '/me': 'me',
+};
+
+// Views built on demand - Home is static markup in index.html
+const VIEW_RENDERERS = {
+    videos: renderVideosView,
+    new: renderNewView,
+    faves: renderFavesView,
+    me: renderMeView,
+};
+
+// View shown behind the player modal
+let currentView = 'home';
+
+// Whether the open player pushed its own history entry
+let playerPushedHistory = false;
+
+// Key of the video the player is showing (or loading)
+let activePlayerKey = null;
+
+// Turn "#/video/youtube-abc", "#/faves" or "#/?tags=music" into a route object
+function parseRoute(hash) {
+    const [path, search = ''] = hash.replace(/^#/, '').split('?');
+    const params = new URLSearchParams(search);
+    const videoMatch = path.match(/^\/video\/(.+)$/);
+    if (videoMatch) {
+        return { view: null, videoKey: decodeURIComponent(videoMatch[1]), params };
+    }
+    return { view: ROUTES[path || '/'] || 'home', videoKey: null, params };
+}
+
+function getVideoRouteHash(platform, videoId) {
+    return `#/video/${encodeURIComponent(`${platform}-${videoId}`)}`;
 }
 
-// Create a video card element
-function createVideoCard(video, index) {
-    const card = document.createElement('div');
-    card.className = 'video-card';
-    card.dataset.tags = video.tags || '';
+// Show one view and highlight its nav item
+function showView(view) {
+    document.querySelectorAll('.view').forEach(section => {
+        const isActive = section.dataset.view === view;
+        section.hidden = !isActive;
 
-    // Handle both camelCase and lowercase column names
-    const videoUrl = video.videourl || video.videoUrl || '';
-    if (videoUrl) card.dataset.videoUrl = videoUrl;
+        // Rebuild on-demand views so they reflect the latest catalog
+        if (isActive && VIEW_RENDERERS[view]) {
+            section.innerHTML = '';
+            VIEW_RENDERERS[view](section);
+        }
+    });
 
-    const platform = getVideoPlatform(videoUrl);
-    if (platform) {
-        card.dataset.platform = platform.platform;
-        card.dataset.videoId = platform.id;
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.view === view);
+    });
+
+    if (view !== currentView) window.scrollTo(0, 0);
+    currentView = view;
+}
+
+// Render whatever the current hash points to
+function handleRoute() {
+    const route = parseRoute(location.hash);
+
+    if (route.videoKey) {
+        // Keep the current view behind the player, building it on first load
+        const background = document.querySelector(`.view[data-view="${currentView}"]`);
+        if (background.hidden) showView(currentView);
+        if (activePlayerKey === route.videoKey) return;
+
+        const parsed = parseVideoKey(route.videoKey);
+        if (!parsed) {
+            history.replaceState(null, '', '#/');
+            handleRoute();
+            return;
+        }
+        const video = videoCatalog.find(v => v.key === route.videoKey);
+        const queueIndex = playerQueue.videos.findIndex(v => v.key === route.videoKey);
+        if (queueIndex >= 0) {
+            playerQueue.index = queueIndex;
+        } else {
+            setPlayerQueue(video ? [video] : [], 0);
+        }
+        playerPushedHistory = false;
+        showVideoPlayer(parsed.platform, parsed.id, video && localizedField(video, 'title'), Math.max(0, parseInt(route.params.get('t'), 10) || 0));
+        return;
+    }
+
+    // Leaving a video route (e.g. with the back button) closes the player
+    activePlayerKey = null;
+    const modal = document.querySelector('.video-player-modal');
+    if (modal) modal.remove();
+
+    // "#/?tags=a,b&mode=and" - a shared filtered view, or back from the player to one
+    if (route.view === 'home') {
+        const tags = parseTags(route.params.get('tags'));
+        const mode = route.params.get('mode') === 'and' ? 'and' : 'or';
+        const sameTags = tags.join(',').toLowerCase() === filterState.tags.join(',').toLowerCase();
+        if (!sameTags || mode !== filterState.tagMode) applyTagFilter(tags, mode);
     }
 
-    const thumbnail = getThumbnail(videoUrl, video.thumbnail);
-    const gradient = FALLBACK_GRADIENTS[index % FALLBACK_GRADIENTS.length];
+    showView(route.view);
+}
+
+// Keep the URL in sync when the player is closed from inside the modal
+function onVideoPlayerClosed() {
+    if (!parseRoute(location.hash).videoKey) return;
 
-    let thumbnailStyle;
-    if (thumbnail) {
-        thumbnailStyle = `background: url('${thumbnail}') center/cover; position: relative;`;
+    if (playerPushedHistory) {
+        playerPushedHistory = false;
+        history.back();
     } else {
-        thumbnailStyle = `background: linear-gradient(135deg, ${gradient[0]}, ${gradient[1]});`;
+        // Opened straight from a shared link - there's nothing to go back to
+        const backgroundHash = currentView === 'home'
+            ? getHomeHash()
+            : `#${Object.keys(ROUTES).find(path => ROUTES[path] === currentView)}`;
+        history.replaceState(null, '', backgroundHash);
     }
+}
 
-    // Show "Loading..." initially for YouTube videos, use sheet value for others
-    const initialViews = platform?.platform === 'youtube' ? 'Loading...' : (video.views || '0');
-
-    card.innerHTML = `
-        <div class="video-thumbnail" style="${thumbnailStyle}">
-            <span class="play-btn">▶️</span>
-            ${video.icon ? `<span class="video-icon">${video.icon}</span>` : ''}
-        </div>
-        <div class="video-info">
-            <h3>${video.title || 'Untitled'}</h3>
-            <p class="view-count">⭐ ${initialViews} views</p>
-        </div>
-    `;
+window.addEventListener('hashchange', handleRoute);
 
-    // Add click handler
-    card.addEventListener('click', () => {
-        const platform = getVideoPlatform(videoUrl);
-        if (platform) {
-            showVideoPlayer(platform.platform, platform.id, video.title);
-        } else if (videoUrl) {
-            window.open(videoUrl, '_blank');
-        } else {
-            card.style.animation = 'none';
-            card.offsetHeight;
-            card.style.animation = 'card-click 0.5s ease';
-            showY2KAlert('Video Coming Soon! ✨🎬');
-        }
-    });
+// Share pages send visitors to "?v=<key>&t=<seconds>" - swap that for the player's route
+function applySharedVideoLink() {
+    const params = new URLSearchParams(location.search);
+    const key = params.get('v');
+    if (!key) return;
 
-    return card;
+    const start = params.get('t');
+    params.delete('v');
+    params.delete('t');
+    const search = params.toString() ? `?${params}` : '';
+    const hash = `#/video/${encodeURIComponent(key)}${start ? `?t=${encodeURIComponent(start)}` : ''}`;
+    history.replaceState(null, '', `${location.pathname}${search}${hash}`);
 }
 
-// Fetch and render videos from Google Sheets
-async function loadVideosFromSheet() {
-    const grid = document.querySelector('.video-grid');
+// Show saved videos instantly, route, then refresh from the sheet in the background
+document.addEventListener('DOMContentLoaded', async () => {
+    applySharedVideoLink();
+    const hasCache = loadCachedCatalog();
+    if (hasCache) handleRoute();
+    await loadVideosFromSheet();
+    if (!hasCache) handleRoute();
+});
 
-    try {
-        const response = await fetch(SHEET_URL);
-        const text = await response.text();
+// Videos the player steps through with next/previous
+const playerQueue = { videos: [], index: 0 };
 
-        // Google's response is wrapped in a callback, extract the JSON
-        const jsonMatch = text.match(/google\.visualization\.Query\.setResponse\(([\s\S]*)\);?$/);
-        if (!jsonMatch) throw new Error('Invalid response format');
+// Whether the player moves on by itself when a video ends
+const AUTOPLAY_STORAGE_KEY = 'vivi-autoplay-next';
+let autoplayNext = readSetting(AUTOPLAY_STORAGE_KEY) === 'on';
 
-        const data = JSON.parse(jsonMatch[1]);
-        const rows = data.table.rows;
+function setAutoplayNext(enabled) {
+    autoplayNext = enabled;
+    writeSetting(AUTOPLAY_STORAGE_KEY, enabled ? 'on' : 'off');
+}
 
-        // Get column labels - use label if available, otherwise use the column id (A, B, C...)
-        // Map common column positions to expected names
-        const colMap = ['title', 'tags', 'icon', 'views', 'videourl', 'thumbnail'];
-        const cols = data.table.cols.map((c, i) => {
-            const label = (c.label || '').toLowerCase().trim();
-            return label || colMap[i] || `col${i}`;
-        });
+function setPlayerQueue(videos, index) {
+    playerQueue.videos = videos;
+    playerQueue.index = index;
+}
 
-        console.log('Columns:', cols);
-        console.log('Rows:', rows);
+// Every video in a grid, in the order shown - including pages not rendered yet
+function getGridVideos(grid) {
+    return gridStates.get(grid)?.videos || [];
+}
 
-        // Only clear and rebuild if we got data
-        if (rows && rows.length > 1) {
-            grid.innerHTML = '';
+// Play a list of videos in order, starting from startVideo (or the first one)
+function playQueue(videos, startVideo) {
+    const playable = videos.filter(video => !video.unavailable && video.key && parseVideoKey(video.key));
+    if (!playable.length) return;
+    setPlayerQueue(playable, Math.max(0, playable.indexOf(startVideo)));
+    playQueueItem(playerQueue.index);
+}
 
-            // Skip first row (header row) and parse remaining rows into video objects
-            rows.slice(1).forEach((row, index) => {
-                const video = {};
-                row.c.forEach((cell, i) => {
-                    if (cols[i] && cell) {
-                        video[cols[i]] = cell.v !== null && cell.v !== undefined ? cell.v : (cell.f || '');
-                    }
-                });
-
-                console.log('Video object:', video);
-
-                // Only add if there's at least a title
-                if (video.title) {
-                    const card = createVideoCard(video, index);
-                    grid.appendChild(card);
-                }
-            });
-        }
+function playQueueItem(index) {
+    const video = playerQueue.videos[index];
+    if (!video) return;
+    playerQueue.index = index;
+    const { platform, id } = parseVideoKey(video.key);
+    showVideoPlayer(platform, id, localizedField(video, 'title'));
+}
+
+// Move through the queue - there's no wrapping past either end
+function stepQueue(offset) {
+    playQueueItem(playerQueue.index + offset);
+}
 
-        // Re-run entrance animation
-        animateCardsIn();
+// Prev / position / next row under the video, plus the autoplay-next switch
+function createQueueControls() {
+    const { videos, index } = playerQueue;
+    const prevBtn = el('button', { className: 'queue-btn queue-prev', text: '⏮', attrs: { type: 'button', 'aria-label': t('queue.previous') } });
+    const nextBtn = el('button', { className: 'queue-btn queue-next', text: '⏭', attrs: { type: 'button', 'aria-label': t('queue.next') } });
+    prevBtn.disabled = index <= 0;
+    nextBtn.disabled = index >= videos.length - 1;
+    prevBtn.addEventListener('click', () => stepQueue(-1));
+    nextBtn.addEventListener('click', () => stepQueue(1));
+
+    const autoplayInput = el('input', { attrs: { type: 'checkbox' } });
+    autoplayInput.checked = autoplayNext;
+    autoplayInput.addEventListener('change', () => setAutoplayNext(autoplayInput.checked));
+
+    return el('div', { className: 'video-player-controls' }, [
+        prevBtn,
+        el('span', { className: 'queue-position', text: `${index + 1} / ${videos.length}` }),
+        nextBtn,
+        el('label', { className: 'queue-autoplay' }, [autoplayInput, ` ${t('queue.autoplay')}`]),
+    ]);
+}
 
-        // Fetch real YouTube view counts and Vimeo thumbnails
-        updateAllViewCounts();
-        updateVimeoThumbnails();
+// Player APIs are only loaded once autoplay-next needs them
+const loadedScripts = {};
 
-    } catch (error) {
-        console.log('Could not load from Google Sheets, using default content:', error);
-        // Keep existing HTML content as fallback
-        animateCardsIn();
+function loadScript(src) {
+    if (!loadedScripts[src]) {
+        loadedScripts[src] = new Promise((resolve, reject) => {
+            const script = el('script', { attrs: { src } });
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
     }
+    return loadedScripts[src];
 }
 
-// Animate cards entrance
-function animateCardsIn() {
-    document.querySelectorAll('.video-card').forEach((card, index) => {
-        card.style.opacity = '0';
-        card.style.transform = 'translateY(20px)';
+// The YouTube API calls a global once it's ready, rather than firing onload
+let youTubeApiReady = null;
 
-        setTimeout(() => {
-            card.style.transition = 'all 0.5s ease';
-            card.style.opacity = '1';
-            card.style.transform = 'translateY(0)';
-        }, 100 + (index * 100));
+function loadYouTubeApi() {
+    if (window.YT?.Player) return Promise.resolve(window.YT);
+    if (!youTubeApiReady) {
+        youTubeApiReady = new Promise((resolve, reject) => {
+            window.onYouTubeIframeAPIReady = () => resolve(window.YT);
+            loadScript('https://www.youtube.com/iframe_api').catch(reject);
+        });
+    }
+    return youTubeApiReady;
+}
+
+// Each platform's player is wrapped in the same small interface:
+// getProgress() resolves to { time, duration } in seconds, onEnded(callback) fires at the end
+async function connectYouTubePlayer(iframe) {
+    const YT = await loadYouTubeApi();
+    const endedCallbacks = [];
+    const player = await new Promise((resolve) => {
+        const instance = new YT.Player(iframe, {
+            events: {
+                onReady: () => resolve(instance),
+                onStateChange: (event) => {
+                    if (event.data === YT.PlayerState.ENDED) endedCallbacks.forEach(callback => callback());
+                },
+            },
+        });
     });
+    return {
+        getProgress: async () => ({ time: player.getCurrentTime(), duration: player.getDuration() }),
+        onEnded: callback => endedCallbacks.push(callback),
+    };
 }
 
-// Fetch and update view counts for YouTube videos
-async function updateAllViewCounts() {
-    const cards = document.querySelectorAll('.video-card[data-platform="youtube"]');
-
-    // Fetch all view counts in parallel
-    const fetchPromises = Array.from(cards).map(async (card) => {
-        const videoId = card.dataset.videoId;
-        const views = await fetchYouTubeViews(videoId);
-
-        if (views !== null) {
-            const viewCountEl = card.querySelector('.view-count');
-            if (viewCountEl) {
-                viewCountEl.textContent = `⭐ ${formatViews(views)} views`;
-            }
-        }
+// Vimeo answers getCurrentTime() over postMessage, which never comes back once the iframe
+// is gone - so the position is kept from timeupdate, and the last save on close still works
+async function connectVimeoPlayer(iframe) {
+    await loadScript('https://player.vimeo.com/api/player.js');
+    const player = new window.Vimeo.Player(iframe);
+    let progress = { time: 0, duration: 0 };
+    player.on('timeupdate', ({ seconds, duration }) => {
+        progress = { time: seconds, duration };
     });
+    return {
+        getProgress: async () => progress,
+        onEnded: callback => player.on('ended', callback),
+    };
+}
 
-    await Promise.all(fetchPromises);
+function connectVideoElement(video) {
+    return {
+        getProgress: async () => ({ time: video.currentTime, duration: video.duration }),
+        onEnded: callback => video.addEventListener('ended', callback),
+    };
 }
 
-// Fetch and update thumbnails for Vimeo videos
-async function updateVimeoThumbnails() {
-    const cards = document.querySelectorAll('.video-card[data-platform="vimeo"]');
+// Everything keyboard focus can land on inside an element
+const FOCUSABLE_SELECTOR = 'a[href], button:not(:disabled), input:not(:disabled), select:not(:disabled), textarea:not(:disabled), iframe, video[controls], [tabindex]:not([tabindex="-1"])';
+
+// Keep Tab and Shift+Tab cycling inside a dialog
+function trapFocus(dialog, event) {
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)];
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
 
-    const fetchPromises = Array.from(cards).map(async (card) => {
-        const videoId = card.dataset.videoId;
-        const thumbnailEl = card.querySelector('.video-thumbnail');
+// The page behind a dialog can't be clicked, focused or read out while it's open
+function setBackgroundInert(inert) {
+    document.querySelector('.container').inert = inert;
+}
 
-        // Only fetch if no custom thumbnail was set
-        if (thumbnailEl && thumbnailEl.style.background.includes('linear-gradient')) {
-            const thumbnailUrl = await fetchVimeoThumbnail(videoId);
-            if (thumbnailUrl) {
-                thumbnailEl.style.background = `url('${thumbnailUrl}') center/cover`;
-            }
-        }
-    });
+// Focus what opened a dialog - or, if the grid was re-rendered meanwhile, the same video's card
+function restoreFocus(element, videoKey) {
+    if (element?.isConnected) {
+        element.focus();
+        return;
+    }
+    const card = [...document.querySelectorAll('.video-card')]
+        .find(c => cardVideos.get(c)?.key === videoKey && !c.closest('[hidden]'));
+    card?.querySelector('.card-link').focus();
+}
 
-    await Promise.all(fetchPromises);
+// How many related videos the player suggests
+const RELATED_LIMIT = 8;
+
+// Videos to suggest under the player - three points per shared tag, two for the
+// same icon, and up to one more for being recent (fading out over a few months)
+function getRelatedVideos(current) {
+    if (!current) return [];
+    const tags = new Set(parseTags(current.tags).map(tag => tag.toLowerCase()));
+    const icon = sanitizeIcon(current.icon);
+    const now = Date.now();
+
+    return videoCatalog
+        .filter(video => video.key !== current.key && !video.unavailable && video.key && parseVideoKey(video.key))
+        .map((video, order) => {
+            const sharedTags = parseTags(video.tags).filter(tag => tags.has(tag.toLowerCase())).length;
+            const sameIcon = icon && sanitizeIcon(video.icon) === icon;
+            const date = getVideoDate(video);
+            const recency = date ? 1 / (1 + Math.max(0, now - date.getTime()) / (90 * DAY_MS)) : 0;
+            return { video, order, score: sharedTags * 3 + (sameIcon ? 2 : 0) + recency };
+        })
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .slice(0, RELATED_LIMIT)
+        .map(entry => entry.video);
 }
 
-// Load videos when page loads
-document.addEventListener('DOMContentLoaded', loadVideosFromSheet);
+// Fill the "Up next" rail for the playing video
+function renderRelatedRail(rail, current) {
+    const videos = getRelatedVideos(current);
+    rail.hidden = !videos.length;
+
+    const items = videos.map((video, index) => {
+        const thumbnail = el('span', { className: 'video-thumbnail related-thumbnail' });
+        setThumbnail(thumbnail, getThumbnailSources(video), index);
+        loadThumbnail(thumbnail);
+
+        const button = el('button', { className: 'related-item', attrs: { type: 'button' } }, [
+            thumbnail,
+            el('span', { className: 'related-title', text: localizedField(video, 'title') || t('video.untitled') }),
+        ]);
+        button.addEventListener('click', () => playRelated(video));
+        return el('li', {}, [button]);
+    });
+
+    rail.replaceChildren(
+        el('h3', { className: 'related-heading', text: t('player.upNext') }),
+        el('ul', { className: 'related-list' }, items),
+    );
+}
 
-// Video Player Modal
-async function showVideoPlayer(platform, videoId, title) {
-    // Remove existing player if any
-    const existing = document.querySelector('.video-player-modal');
-    if (existing) existing.remove();
+// A related video is slotted in right after the playing one, so Previous goes back to it
+function playRelated(video) {
+    const videos = [...playerQueue.videos];
+    const index = videos.length ? playerQueue.index + 1 : 0;
+    videos.splice(index, 0, video);
+    setPlayerQueue(videos, index);
+    playQueueItem(index);
+}
 
-    // Get video aspect ratio (default 16:9 for YouTube, fetch for Vimeo)
-    let aspectRatio = 16 / 9;
-    let isPortrait = false;
+// Video Player Modal - opening another video while it's up swaps the video in place.
+// startAt (seconds) comes from a shared link's "t", and beats the saved watch position.
+function showVideoPlayer(platform, videoId, title, startAt = 0) {
+    activePlayerKey = `${platform}-${videoId}`;
 
-    if (platform === 'vimeo') {
-        const info = await fetchVimeoInfo(videoId);
-        aspectRatio = info.aspectRatio;
-        isPortrait = aspectRatio < 1;
+    // Give the video its own URL so it can be shared and reopened -
+    // switching videos inside an open player replaces the entry instead
+    const routeHash = getVideoRouteHash(platform, videoId);
+    const existing = document.querySelector('.video-player-modal');
+    const routeKey = parseRoute(location.hash).videoKey;
+    if (routeKey !== activePlayerKey) {
+        if (existing && routeKey) {
+            history.replaceState(null, '', routeHash);
+        } else {
+            playerPushedHistory = true;
+            location.hash = routeHash;
+        }
     }
 
-    // Build embed URL based on platform
-    let embedUrl;
-    if (platform === 'vimeo') {
-        embedUrl = `https://player.vimeo.com/video/${videoId}?autoplay=1`;
-    } else {
-        // Default to YouTube
-        embedUrl = `https://www.youtube.com/embed/${videoId}?autoplay=1&rel=0`;
-    }
-
-    const modal = document.createElement('div');
-    modal.className = 'video-player-modal';
-    modal.innerHTML = `
-        <div class="video-player-backdrop"></div>
-        <div class="video-player-content">
-            <button class="video-player-close">✕</button>
-            <h2 class="video-player-title">${title || 'Now Playing'}</h2>
-            <div class="video-player-wrapper">
-                <iframe
-                    src="${embedUrl}"
-                    frameborder="0"
-                    allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                    allowfullscreen
-                ></iframe>
-            </div>
-        </div>
-    `;
+    if (existing) {
+        existing.showVideo(platform, videoId, title, startAt);
+        return;
+    }
 
-    // Add styles
-    const modalStyle = modal.style;
-    modalStyle.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 10000;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-    `;
+    // Focus goes back to whatever opened the player once it closes
+    const returnFocusTo = document.activeElement;
+
+    const modal = el('div', {
+        className: 'video-player-modal',
+        attrs: { role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'video-player-title' },
+    }, [
+        el('div', { className: 'video-player-backdrop' }),
+        el('div', { className: 'video-player-content' }, [
+            el('button', { className: 'video-player-close', text: '✕', attrs: { type: 'button', 'aria-label': t('player.close') } }),
+            el('h2', { className: 'video-player-title', attrs: { id: 'video-player-title' } }),
+            el('div', { className: 'video-player-wrapper' }),
+            el('section', { className: 'related-rail', attrs: { 'aria-label': t('player.related') } }),
+        ]),
+    ]);
 
     const backdrop = modal.querySelector('.video-player-backdrop');
-    backdrop.style.cssText = `
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.8);
-        animation: fade-in 0.3s ease;
-    `;
-
     const content = modal.querySelector('.video-player-content');
-    content.style.cssText = `
-        position: relative;
-        width: 90%;
-        max-width: 800px;
-        background: linear-gradient(135deg, #c8a2d6, #7b68ee);
-        border-radius: 20px;
-        padding: 20px;
-        border: 4px solid white;
-        box-shadow: 0 0 40px rgba(147, 112, 219, 0.8);
-        animation: pop-in 0.3s ease;
-        transition: all 0.3s ease;
-    `;
-
     const closeBtn = modal.querySelector('.video-player-close');
-    closeBtn.style.cssText = `
-        position: absolute;
-        top: -15px;
-        right: -15px;
-        width: 40px;
-        height: 40px;
-        background: linear-gradient(135deg, #9370db, #6a5acd);
-        border: 3px solid white;
-        border-radius: 50%;
-        color: white;
-        font-size: 1.2rem;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        box-shadow: 0 4px 15px rgba(147, 112, 219, 0.5);
-        transition: all 0.2s ease;
-    `;
-
     const titleEl = modal.querySelector('.video-player-title');
-    titleEl.style.cssText = `
-        color: white;
-        font-family: 'Fredoka One', cursive;
-        font-size: 1.2rem;
-        margin-bottom: 15px;
-        text-align: center;
-        text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.3);
-        transition: all 0.3s ease;
-    `;
-
     const wrapper = modal.querySelector('.video-player-wrapper');
-    // Use padding-bottom trick for aspect ratio (100 / aspectRatio gives percentage)
-    const paddingPercent = (1 / aspectRatio) * 100;
-    wrapper.style.cssText = `
-        position: relative;
-        padding-bottom: ${paddingPercent}%;
-        height: 0;
-        border-radius: 10px;
-        overflow: hidden;
-        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-    `;
+    const rail = modal.querySelector('.related-rail');
+
+    // What's playing - replaced by showVideo each time the video changes
+    let videoKey = null;
+    let media = null;
+    let controls = null;
+    let faveBtn = null;
+    let shareBtn = null;
+    let aspectRatio = 16 / 9;
+    let isPortrait = false;
 
-    const iframe = modal.querySelector('iframe');
-    iframe.style.cssText = `
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-    `;
+    // Set once the platform's player API is connected
+    let stopTracking = null;
+
+    // Last known playback time, for sharing a link that starts where the viewer is
+    let position = 0;
 
-    // Handle responsive layout based on aspect ratio
+    // Handle responsive layout based on aspect ratio - style.css has the look of each
+    // layout, only the sizes that depend on the screen are set here
     const updateLayout = () => {
         const vw = window.innerWidth;
         const vh = window.innerHeight;
         const isLandscapeScreen = vw > vh;
         const isMobile = vw < 768 || vh < 500;
+        const isCompact = !isPortrait && isLandscapeScreen && isMobile;
+
+        // Landscape phones get the rail as a single swipeable strip of thumbnails
+        modal.dataset.layout = isPortrait ? 'portrait' : isCompact ? 'compact' : 'normal';
+        rail.classList.toggle('related-strip', isCompact);
+        const controlsHeight = controls ? controls.offsetHeight : 0;
+        const railHeight = rail.hidden ? 0 : rail.offsetHeight;
 
         if (isPortrait) {
             // Portrait video - constrain by height
-            const maxHeight = vh - 80; // Leave margin for title and padding
+            const maxHeight = vh - 80 - controlsHeight - railHeight; // Leave margin for title, controls, rail and padding
             const maxWidth = maxHeight * aspectRatio;
             const padding = 40; // 20px on each side
 
             content.style.width = Math.min(vw - 40, maxWidth + padding) + 'px';
-            content.style.maxWidth = '400px'; // Cap width for portrait videos
-            content.style.height = 'auto';
             content.style.maxHeight = (vh - 40) + 'px';
-            content.style.padding = '20px';
-            content.style.borderRadius = '20px';
-            content.style.border = '4px solid white';
-            titleEl.style.display = 'block';
-            titleEl.style.fontSize = '1rem';
-            titleEl.style.marginBottom = '10px';
-            closeBtn.style.width = '36px';
-            closeBtn.style.height = '36px';
-            closeBtn.style.fontSize = '1rem';
-            closeBtn.style.top = '-12px';
-            closeBtn.style.right = '-12px';
-            closeBtn.style.border = '3px solid white';
-            wrapper.style.borderRadius = '10px';
-        } else if (isLandscapeScreen && isMobile) {
+        } else if (isCompact) {
             // Landscape screen with landscape video - fit to viewport
             const padding = 16;
-            const availableHeight = vh - 40;
+            const availableHeight = vh - 40 - controlsHeight - railHeight;
             const maxVideoWidth = (availableHeight - padding) * aspectRatio;
 
             content.style.width = Math.min(vw - 20, maxVideoWidth + padding) + 'px';
-            content.style.maxWidth = 'none';
-            content.style.height = 'auto';
             content.style.maxHeight = (vh - 20) + 'px';
-            content.style.padding = '8px';
-            content.style.borderRadius = '8px';
-            content.style.border = '2px solid white';
-            titleEl.style.display = 'none';
-            closeBtn.style.width = '24px';
-            closeBtn.style.height = '24px';
-            closeBtn.style.fontSize = '0.8rem';
-            closeBtn.style.top = '-6px';
-            closeBtn.style.right = '-6px';
-            closeBtn.style.border = '2px solid white';
-            wrapper.style.borderRadius = '6px';
         } else {
             // Portrait screen or desktop - normal layout
-            content.style.width = '90%';
-            content.style.maxWidth = '800px';
-            content.style.height = 'auto';
-            content.style.maxHeight = 'none';
-            content.style.padding = '20px';
-            content.style.borderRadius = '20px';
-            content.style.border = '4px solid white';
-            titleEl.style.display = 'block';
-            titleEl.style.fontSize = '1.2rem';
-            titleEl.style.marginBottom = '15px';
-            closeBtn.style.width = '40px';
-            closeBtn.style.height = '40px';
-            closeBtn.style.fontSize = '1.2rem';
-            closeBtn.style.top = '-15px';
-            closeBtn.style.right = '-15px';
-            closeBtn.style.border = '3px solid white';
-            wrapper.style.borderRadius = '10px';
+            content.style.width = '';
+            content.style.maxHeight = '';
         }
     };
 
-    // Initial layout check
-    updateLayout();
+    // Reshape the player once the real size is known
+    const setAspectRatio = (ratio) => {
+        if (!ratio || Math.abs(ratio - aspectRatio) < 0.01) return;
+        aspectRatio = ratio;
+        isPortrait = aspectRatio < 1;
+        // Use padding-bottom trick for aspect ratio (100 / aspectRatio gives percentage)
+        wrapper.style.paddingBottom = `${(1 / aspectRatio) * 100}%`;
+        updateLayout();
+    };
+
+    // Put a video in the player - the first one, or the next one without rebuilding the modal
+    const showVideo = (platform, videoId, title, startAt = 0) => {
+        // Save where the previous video got to before it goes
+        stopTracking?.();
+        stopTracking = null;
+
+        const key = `${platform}-${videoId}`;
+        videoKey = key;
+        modal.dataset.videoKey = key;
+        const video = findVideo(key) || { key, title, videoUrl: '' };
+        titleEl.textContent = title || t('player.nowPlaying');
+
+        // Get video aspect ratio - the stored size when we have one (Vimeo), otherwise the
+        // platform default until the metadata store or the video file reports the real one
+        const platformSpec = VIDEO_PLATFORMS[platform] || VIDEO_PLATFORMS.youtube;
+        aspectRatio = getMetadataAspectRatio(getCachedMetadata(key)) || platformSpec.aspectRatio;
+        isPortrait = aspectRatio < 1;
+        wrapper.style.paddingBottom = `${(1 / aspectRatio) * 100}%`;
+
+        // Build embed URL based on platform - IDs were checked against the platform's pattern.
+        // Videos watched part-way start where the viewer left off.
+        const resumeAt = startAt || getResumeTime(key);
+        position = resumeAt;
+        const embedUrl = platformSpec.embedUrl(videoId, resumeAt);
+
+        // Keep focus on the queue button that was used, if it's still usable
+        const focusedControl = controls?.contains(document.activeElement)
+            ? ['.queue-prev', '.queue-next', 'input'].find(selector => document.activeElement.matches(selector))
+            : null;
+
+        // Embeds play in an iframe, video files in a native <video>
+        media = embedUrl
+            ? el('iframe', {
+                attrs: {
+                    src: embedUrl,
+                    title: title || t('player.label'),
+                    frameborder: '0',
+                    allow: 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture',
+                    allowfullscreen: '',
+                },
+            })
+            : el('video', { attrs: { src: videoId, controls: '', autoplay: '', playsinline: '', 'aria-label': title || t('player.label') } });
+        wrapper.replaceChildren(media);
+
+        // Queue controls when the player was opened from a list of videos
+        controls?.remove();
+        const inQueue = playerQueue.videos[playerQueue.index]?.key === key;
+        controls = inQueue && playerQueue.videos.length > 1 ? createQueueControls() : null;
+        if (controls) wrapper.after(controls);
+
+        // Heart toggle for the playing video
+        faveBtn?.remove();
+        faveBtn = createFaveButton(video);
+        faveBtn.classList.add('video-player-fave');
+        rail.before(faveBtn);
+
+        shareBtn?.remove();
+        shareBtn = createShareButton(video, () => position);
+        shareBtn.classList.add('video-player-share');
+        rail.before(shareBtn);
+
+        renderRelatedRail(rail, findVideo(key));
+        updateLayout();
+
+        const focusTarget = focusedControl && (controls?.querySelector(`${focusedControl}:not(:disabled)`)
+            || controls?.querySelector('.queue-btn:not(:disabled)'));
+        if (focusTarget) focusTarget.focus();
+        else if (modal.isConnected && !modal.contains(document.activeElement)) media.focus();
+
+        // Video files tell us their real shape once the metadata has loaded
+        if (!embedUrl) {
+            const file = media;
+            file.addEventListener('loadedmetadata', () => {
+                if (resumeAt) file.currentTime = resumeAt;
+                if (file.videoWidth && file.videoHeight && videoKey === key) setAspectRatio(file.videoWidth / file.videoHeight);
+            });
+        }
+
+        // Embeds open straight away and pick up a size from the metadata store when it arrives
+        getVideoMetadata(platform, videoId).then(metadata => {
+            if (modal.isConnected && videoKey === key) setAspectRatio(getMetadataAspectRatio(metadata));
+        });
+
+        // Playback position and autoplay-next, for platforms with a player API
+        if (platformSpec.connect) {
+            const connected = media;
+            Promise.resolve()
+                .then(() => platformSpec.connect(connected))
+                .then(player => {
+                    if (!modal.isConnected || media !== connected) return;
+
+                    const save = () => player.getProgress()
+                        .then(({ time, duration }) => {
+                            if (videoKey === key) position = time;
+                            savePlaybackPosition(key, time, duration);
+                        })
+                        .catch(error => console.log('Could not read playback position', error));
+                    const timer = setInterval(save, PROGRESS_SAVE_INTERVAL);
+                    stopTracking = () => {
+                        clearInterval(timer);
+                        return save();
+                    };
+
+                    player.onEnded(() => {
+                        save();
+                        if (controls && autoplayNext && activePlayerKey === key) stepQueue(1);
+                    });
+                })
+                .catch(error => console.log('Could not connect to the video player', error));
+        }
+    };
+    modal.showVideo = showVideo;
 
     // Update on orientation change or resize
     window.addEventListener('resize', updateLayout);
     window.addEventListener('orientationchange', updateLayout);
 
+    // Escape closes, arrow keys move through the queue (native video controls keep their own arrows)
+    const keyHandler = (e) => {
+        if (e.key === 'Escape') {
+            modal.remove();
+        } else if (e.key === 'Tab') {
+            trapFocus(modal, e);
+        } else if (controls && (e.key === 'ArrowRight' || e.key === 'ArrowLeft')) {
+            if (e.target.closest?.('input, textarea, select, video, .related-rail')) return;
+            e.preventDefault();
+            stepQueue(e.key === 'ArrowRight' ? 1 : -1);
+        }
+    };
+    document.addEventListener('keydown', keyHandler);
+
     // Clean up listeners when modal closes
     const originalRemove = modal.remove.bind(modal);
     modal.remove = () => {
         window.removeEventListener('resize', updateLayout);
         window.removeEventListener('orientationchange', updateLayout);
+        document.removeEventListener('keydown', keyHandler);
+        const lastSave = stopTracking?.();
         originalRemove();
+        activePlayerKey = null;
+        setPlayerQueue([], 0);
+        setBackgroundInert(false);
+        onVideoPlayerClosed();
+        // The row picks up the position the last save wrote
+        Promise.resolve(lastSave).then(() => {
+            renderContinueWatching();
+            restoreFocus(returnFocusTo, videoKey);
+        });
     };
 
     // Close handlers
     closeBtn.addEventListener('click', () => modal.remove());
-    closeBtn.addEventListener('mouseover', () => closeBtn.style.transform = 'scale(1.1)');
-    closeBtn.addEventListener('mouseout', () => closeBtn.style.transform = 'scale(1)');
     backdrop.addEventListener('click', () => modal.remove());
 
-    // Close on Escape key
-    const escHandler = (e) => {
-        if (e.key === 'Escape') {
-            modal.remove();
-            document.removeEventListener('keydown', escHandler);
+    document.body.appendChild(modal);
+    setBackgroundInert(true);
+    showVideo(platform, videoId, title, startAt);
+    closeBtn.focus();
+}
+
+// The worker spotted a new script.js and has already cached it. It checks while this page is
+// still loading, and messages that arrive before there's a listener are dropped - so listen
+// from the start instead of waiting for registerServiceWorker on "load".
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'update-available') {
+            showUpdatePrompt(() => location.reload());
         }
+    });
+}
+
+// Service worker - offline support and the "new version" prompt
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // Only reload for a new worker once the visitor has asked for it
+    let reloadOnControllerChange = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnControllerChange) location.reload();
+    });
+
+    // A new sw.js is installed and waiting for the old one to let go
+    const promptForWorker = (worker) => {
+        showUpdatePrompt(() => {
+            reloadOnControllerChange = true;
+            worker.postMessage({ type: 'skip-waiting' });
+        });
     };
-    document.addEventListener('keydown', escHandler);
 
-    document.body.appendChild(modal);
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptForWorker(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptForWorker(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.log('Could not register service worker', error);
+    });
 }
 
-// Y2K Cursor Trail Effect
-document.addEventListener('mousemove', (e) => {
-    createTrail(e.clientX, e.clientY);
-});
+// "New version available" toast - tapping it runs onRefresh
+function showUpdatePrompt(onRefresh) {
+    if (document.querySelector('.update-prompt')) return;
 
-function createTrail(x, y) {
-    const trail = document.createElement('div');
-    trail.className = 'cursor-trail';
+    const prompt = document.createElement('button');
+    prompt.className = 'update-prompt';
+    prompt.textContent = t('update.available');
+    prompt.addEventListener('click', () => {
+        prompt.disabled = true;
+        onRefresh();
+    });
+    document.body.appendChild(prompt);
+}
 
-    // Random Y2K icons for the trail
-    const icons = ['⭐', '✨', '💖', '🎀', '💎', '✿', '♡', '☆'];
-    trail.textContent = icons[Math.floor(Math.random() * icons.length)];
+window.addEventListener('load', registerServiceWorker);
 
-    // Random colors
-    const colors = ['#ff69b4', '#00bfff', '#ff1493', '#ba55d3', '#ffff00', '#00ffff'];
-    trail.style.color = colors[Math.floor(Math.random() * colors.length)];
+// Calm mode turns off the sparkles and floating animations - it's on automatically
+// when the system asks for reduced motion, and can be switched on in the Me tab
+const CALM_STORAGE_KEY = 'vivi-calm-mode';
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+let calmMode = readSetting(CALM_STORAGE_KEY) === 'on';
 
-    trail.style.left = x + 'px';
-    trail.style.top = y + 'px';
-    trail.style.filter = `drop-shadow(0 0 10px ${trail.style.color})`;
+function setCalmMode(enabled) {
+    calmMode = enabled;
+    writeSetting(CALM_STORAGE_KEY, enabled ? 'on' : 'off');
+    document.documentElement.classList.toggle('calm', enabled);
+}
 
-    document.body.appendChild(trail);
+function motionAllowed() {
+    return !calmMode && !reducedMotionQuery.matches;
+}
 
-    // Remove after animation
-    setTimeout(() => {
-        trail.remove();
-    }, 1000);
+document.documentElement.classList.toggle('calm', calmMode);
+
+// Put the active theme on the page - the CSS colors, the toolbar color, the floating
+// emoji and the gradients behind thumbnails that haven't loaded
+function applyTheme() {
+    const name = getActiveThemeName();
+    const theme = THEMES[name];
+    document.documentElement.dataset.theme = name;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', theme.color);
+    document.querySelectorAll('.floating-decorations .deco').forEach((deco, i) => {
+        deco.textContent = theme.decos[i % theme.decos.length];
+    });
+    document.querySelectorAll('[data-gradient]').forEach(paintFallbackGradient);
 }
 
-// Add sparkle effect on click
-document.addEventListener('click', (e) => {
-    for (let i = 0; i < 8; i++) {
-        setTimeout(() => {
-            createSparkle(e.clientX, e.clientY);
-        }, i * 50);
-    }
+function setTheme(setting) {
+    themeSetting = Object.hasOwn(THEMES, setting) ? setting : 'auto';
+    writeSetting(THEME_STORAGE_KEY, themeSetting);
+    applyTheme();
+}
+
+// 'auto' changes along with the system setting
+darkSchemeQuery.addEventListener('change', applyTheme);
+moreContrastQuery.addEventListener('change', applyTheme);
+applyTheme();
+
+// Fill in index.html's text - elements name their message with data-i18n (text),
+// data-i18n-placeholder or data-i18n-label (aria-label)
+function translatePage() {
+    document.documentElement.lang = locale;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+}
+
+// Switch language and redraw everything with text in it
+function applyLocale() {
+    loadLocale();
+    translatePage();
+    renderTagFilters();
+    renderVideoGrid();
+    renderContinueWatching();
+    showView(currentView);
+    if (document.querySelector('.offline-banner')) showOfflineBanner(catalogSavedAt);
+}
+
+function setLocale(setting) {
+    localeSetting = Object.hasOwn(MESSAGES, setting) ? setting : 'auto';
+    writeSetting(LOCALE_STORAGE_KEY, localeSetting);
+    applyLocale();
+}
+
+// 'auto' follows the browser's language settings
+window.addEventListener('languagechange', () => {
+    if (localeSetting === 'auto') applyLocale();
 });
+translatePage();
+
+// Sparkles and the cursor trail - one canvas drawn from a fixed pool of particles,
+// so a fast mouse can't pile up nodes. Nothing runs while no particles are alive.
+const EFFECTS_STORAGE_KEY = 'vivi-effects';
+
+// How many particles can be alive at once, how many the trail adds per frame
+// and how many sparkles a click makes
+const EFFECT_DENSITIES = {
+    low: { label: 'density.low', budget: 24, trailPerFrame: 1, sparkles: 4 },
+    normal: { label: 'density.normal', budget: 60, trailPerFrame: 1, sparkles: 8 },
+    high: { label: 'density.high', budget: 120, trailPerFrame: 2, sparkles: 12 },
+};
+
+// Trail icons - "theme" borrows the floating emoji of the active theme
+const EFFECT_ICON_SETS = {
+    y2k: { label: 'icons.y2k', icons: ['⭐', '✨', '💖', '🎀', '💎', '✿', '♡', '☆'] },
+    stars: { label: 'icons.stars', icons: ['⭐', '✨', '🌟', '☆', '★'] },
+    hearts: { label: 'icons.hearts', icons: ['💖', '💕', '💗', '♡', '💘'] },
+    theme: { label: 'icons.theme', icons: null },
+};
+
+const TRAIL_SPACING = 12;     // px the pointer moves between trail particles
+const TRAIL_LIFE = 1000;      // ms, like the old CSS fade
+const SPARKLE_LIFE = 1000;
+const SPARKLE_STAGGER = 50;   // ms between a click's sparkles
+
+// { enabled, density, icons, touch } - touch is the trail following a finger
+function loadEffectSettings() {
+    const defaults = { enabled: true, density: 'normal', icons: 'y2k', touch: true };
+    try {
+        const saved = JSON.parse(localStorage.getItem(EFFECTS_STORAGE_KEY));
+        if (!saved || typeof saved !== 'object') return defaults;
+        return {
+            enabled: saved.enabled !== false,
+            density: EFFECT_DENSITIES[saved.density] ? saved.density : defaults.density,
+            icons: EFFECT_ICON_SETS[saved.icons] ? saved.icons : defaults.icons,
+            touch: saved.touch !== false,
+        };
+    } catch (error) {
+        console.log('Could not read effect settings', error);
+        return defaults;
+    }
+}
 
-function createSparkle(x, y) {
-    const sparkle = document.createElement('div');
-    sparkle.className = 'cursor-trail';
-    sparkle.textContent = '✨';
+let effectSettings = loadEffectSettings();
 
-    // Random offset
-    const offsetX = (Math.random() - 0.5) * 100;
-    const offsetY = (Math.random() - 0.5) * 100;
+function setEffectSettings(changes) {
+    effectSettings = { ...effectSettings, ...changes };
+    try {
+        localStorage.setItem(EFFECTS_STORAGE_KEY, JSON.stringify(effectSettings));
+    } catch (error) {
+        console.log('Could not save effect settings', error);
+    }
+    particles.resize(EFFECT_DENSITIES[effectSettings.density].budget);
+    if (!effectSettings.enabled) particles.clear();
+}
 
-    sparkle.style.left = (x + offsetX) + 'px';
-    sparkle.style.top = (y + offsetY) + 'px';
-    sparkle.style.color = '#ffff00';
-    sparkle.style.filter = 'drop-shadow(0 0 15px #ffff00)';
-    sparkle.style.fontSize = (1 + Math.random()) + 'rem';
+// No new particles in calm mode, in a hidden tab or behind the player
+function effectsAllowed() {
+    return effectSettings.enabled && motionAllowed() && !document.hidden && !activePlayerKey;
+}
 
-    document.body.appendChild(sparkle);
+function getTrailIcons() {
+    return EFFECT_ICON_SETS[effectSettings.icons].icons || getActiveTheme().decos;
+}
 
-    setTimeout(() => {
-        sparkle.remove();
-    }, 1000);
+function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
 }
 
-// Tag filtering
-document.querySelectorAll('.tag-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        // Update active button
-        document.querySelectorAll('.tag-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
+const particles = (() => {
+    let pool = [];
+    let canvas = null;
+    let context = null;
+    let frame = null;
+    let lastTime = 0;
+    let pointer = null;     // latest pointer position, used once per frame
+    let lastTrail = null;   // where the last trail particle went
+
+    function resize(budget) {
+        if (budget === pool.length) return;
+        pool = pool.slice(0, budget);
+        while (pool.length < budget) pool.push({ alive: false });
+    }
 
-        const tag = btn.dataset.tag;
-        const cards = document.querySelectorAll('.video-card');
+    // The canvas is made on first use, and stays out of the way of clicks and screen readers
+    function getContext() {
+        if (canvas) return context;
+        canvas = el('canvas', { className: 'particle-canvas', attrs: { 'aria-hidden': 'true' } });
+        context = canvas.getContext('2d');
+        if (!context) return null;
+        document.body.appendChild(canvas);
+        fitCanvas();
+        window.addEventListener('resize', fitCanvas);
+        return context;
+    }
 
-        cards.forEach(card => {
-            if (tag === 'all') {
-                card.classList.remove('hidden');
-            } else {
-                const cardTags = card.dataset.tags || '';
-                if (cardTags.includes(tag)) {
-                    card.classList.remove('hidden');
-                } else {
-                    card.classList.add('hidden');
-                }
+    function fitCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(window.innerWidth * ratio);
+        canvas.height = Math.round(window.innerHeight * ratio);
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+    }
+
+    // Take a free particle - when the budget is used up the effect just skips it
+    function spawn(props) {
+        const particle = pool.find(p => !p.alive);
+        if (!particle) return;
+        Object.assign(particle, { alive: true, age: 0, delay: 0, size: 24, glow: 10 }, props);
+        start();
+    }
+
+    function start() {
+        if (frame || !getContext()) return;
+        lastTime = performance.now();
+        frame = requestAnimationFrame(tick);
+    }
+
+    // Trail particles are added here rather than in the mousemove handler,
+    // so the trail is limited to a few per frame however fast events come in
+    function spawnTrail() {
+        const { trailPerFrame } = EFFECT_DENSITIES[effectSettings.density];
+        for (let i = 0; i < trailPerFrame && pointer; i++) {
+            const distance = lastTrail ? Math.hypot(pointer.x - lastTrail.x, pointer.y - lastTrail.y) : Infinity;
+            if (distance < TRAIL_SPACING) break;
+            // With two per frame, the second goes halfway back along the path
+            const step = i === 0 || !lastTrail ? 1 : 0.5;
+            const x = lastTrail ? lastTrail.x + (pointer.x - lastTrail.x) * step : pointer.x;
+            const y = lastTrail ? lastTrail.y + (pointer.y - lastTrail.y) * step : pointer.y;
+            spawn({ x, y, life: TRAIL_LIFE, icon: pickRandom(getTrailIcons()), color: pickRandom(getActiveTheme().trailColors) });
+            lastTrail = { x, y };
+        }
+        pointer = null;
+    }
+
+    function tick(time) {
+        const elapsed = time - lastTime;
+        lastTime = time;
+
+        if (!effectsAllowed()) {
+            clear();
+            return;
+        }
+        spawnTrail();
+
+        context.clearRect(0, 0, window.innerWidth, window.innerHeight);
+        let alive = 0;
+        pool.forEach(particle => {
+            if (!particle.alive) return;
+            particle.age += elapsed;
+            const progress = (particle.age - particle.delay) / particle.life;
+            if (progress >= 1) {
+                particle.alive = false;
+                return;
             }
+            alive++;
+            if (progress < 0) return;
+            drawParticle(particle, progress);
         });
-    });
+
+        frame = alive ? requestAnimationFrame(tick) : null;
+    }
+
+    // Fades, shrinks and half-turns over its life, like the old CSS animation
+    function drawParticle(particle, progress) {
+        context.save();
+        context.translate(particle.x, particle.y);
+        context.rotate(progress * Math.PI);
+        context.scale(1 - progress, 1 - progress);
+        context.globalAlpha = 1 - progress;
+        context.font = `${particle.size}px sans-serif`;
+        context.fillStyle = particle.color;
+        context.shadowColor = particle.color;
+        context.shadowBlur = particle.glow;
+        context.fillText(particle.icon, 0, 0);
+        context.restore();
+    }
+
+    function clear() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+        pool.forEach(particle => { particle.alive = false; });
+        pointer = null;
+        lastTrail = null;
+        context?.clearRect(0, 0, window.innerWidth, window.innerHeight);
+    }
+
+    function trail(x, y) {
+        if (!effectsAllowed()) return;
+        pointer = { x, y };
+        start();
+    }
+
+    // A click's sparkles land around it one after another
+    function sparkle(x, y) {
+        if (!effectsAllowed()) return;
+        const color = getActiveTheme().sparkleColor;
+        const { sparkles } = EFFECT_DENSITIES[effectSettings.density];
+        for (let i = 0; i < sparkles; i++) {
+            spawn({
+                x: x + (Math.random() - 0.5) * 100,
+                y: y + (Math.random() - 0.5) * 100,
+                delay: i * SPARKLE_STAGGER,
+                life: SPARKLE_LIFE,
+                icon: '✨',
+                color,
+                size: 16 + Math.random() * 16,
+                glow: 15,
+            });
+        }
+    }
+
+    // A new stroke shouldn't draw a line of particles from where the last one ended
+    function lift() {
+        lastTrail = null;
+    }
+
+    return { resize, clear, trail, sparkle, lift };
+})();
+
+particles.resize(EFFECT_DENSITIES[effectSettings.density].budget);
+
+// Y2K Cursor Trail Effect - a mouse or pen, and a finger when the touch trail is on
+document.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'touch') particles.trail(e.clientX, e.clientY);
+});
+document.addEventListener('touchmove', (e) => {
+    if (effectSettings.touch) particles.trail(e.touches[0].clientX, e.touches[0].clientY);
+}, { passive: true });
+document.addEventListener('touchend', particles.lift, { passive: true });
+
+// Add sparkle effect on click
+document.addEventListener('click', (e) => particles.sparkle(e.clientX, e.clientY));
+
+// Nothing to draw in a background tab
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) particles.clear();
+});
+
+// Tag filtering - buttons are built from the catalog in renderTagFilters
+document.querySelector('.tag-filters').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+
+    if (btn.classList.contains('tag-mode-btn')) {
+        setTagFilter(filterState.tags, filterState.tagMode === 'and' ? 'or' : 'and');
+    } else if (btn.dataset.tag === '') {
+        setTagFilter([], filterState.tagMode);
+    } else {
+        const key = btn.dataset.tag;
+        const selected = filterState.tags.some(tag => tag.toLowerCase() === key);
+        setTagFilter(selected
+            ? filterState.tags.filter(tag => tag.toLowerCase() !== key)
+            : [...filterState.tags, key], filterState.tagMode);
+    }
+});
+
+// Sort dropdown
+const sortSelect = document.querySelector('.sort-select');
+sortSelect.value = sortOrder;
+sortSelect.addEventListener('change', () => {
+    sortOrder = Object.hasOwn(SORTERS, sortSelect.value) ? sortSelect.value : 'sheet';
+    writeSetting(SORT_STORAGE_KEY, sortOrder);
+    renderVideoGrid();
+});
+
+// Search bar - filters as you type, "Go!" and Enter apply right away
+const searchInput = document.querySelector('.search-bar input');
+const searchBtn = document.querySelector('.search-btn');
+let searchTimer = null;
+
+function applySearch() {
+    clearTimeout(searchTimer);
+    const query = searchInput.value.trim();
+    if (query === filterState.query) return;
+    filterState.query = query;
+    renderVideoGrid();
+}
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(applySearch, 150);
+});
+
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        applySearch();
+        searchInput.blur();
+    } else if (e.key === 'Escape') {
+        searchInput.value = '';
+        applySearch();
+    }
+});
+
+searchBtn.addEventListener('click', () => {
+    applySearch();
+    searchInput.blur();
 });
 
 // Y2K style alert box
@@ -608,96 +3823,51 @@ function showY2KAlert(message) {
     const existing = document.querySelector('.y2k-alert');
     if (existing) existing.remove();
 
-    const alert = document.createElement('div');
-    alert.className = 'y2k-alert';
-    alert.innerHTML = `
-        <div class="y2k-alert-content">
-            <span class="alert-stars">⭐✨⭐</span>
-            <p>${message}</p>
-            <span class="alert-stars">⭐✨⭐</span>
-            <button onclick="this.parentElement.parentElement.remove()">OK!</button>
-        </div>
-    `;
-
-    // Add styles dynamically
-    alert.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.5);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
-        animation: fade-in 0.3s ease;
-    `;
+    const returnFocusTo = existing?.returnFocusTo || document.activeElement;
 
-    const content = alert.querySelector('.y2k-alert-content');
-    content.style.cssText = `
-        background: linear-gradient(135deg, #c8a2d6, #7b68ee);
-        padding: 30px 40px;
-        border-radius: 20px;
-        text-align: center;
-        color: white;
-        font-family: 'Fredoka One', cursive;
-        box-shadow: 0 0 30px rgba(147, 112, 219, 0.8),
-                    0 0 60px rgba(123, 104, 238, 0.5);
-        border: 4px solid white;
-        animation: pop-in 0.3s ease;
-    `;
+    const alert = el('div', {
+        className: 'y2k-alert',
+        attrs: { role: 'alertdialog', 'aria-modal': 'true', 'aria-labelledby': 'y2k-alert-message' },
+    });
+    alert.appendChild(el('div', { className: 'y2k-alert-content' }, [
+        el('span', { className: 'alert-stars', text: '⭐✨⭐', attrs: { 'aria-hidden': 'true' } }),
+        el('p', { text: message, attrs: { id: 'y2k-alert-message' } }),
+        el('span', { className: 'alert-stars', text: '⭐✨⭐', attrs: { 'aria-hidden': 'true' } }),
+        el('button', { text: t('alert.ok'), attrs: { type: 'button' } }),
+    ]));
+    alert.returnFocusTo = returnFocusTo;
 
     const button = alert.querySelector('button');
-    button.style.cssText = `
-        margin-top: 15px;
-        padding: 10px 30px;
-        font-family: 'Fredoka One', cursive;
-        font-size: 1rem;
-        background: linear-gradient(135deg, #9370db, #6a5acd);
-        border: 3px solid white;
-        border-radius: 25px;
-        color: white;
-        cursor: pointer;
-        box-shadow: 0 4px 15px rgba(147, 112, 219, 0.5);
-        transition: all 0.3s ease;
-    `;
 
-    button.addEventListener('mouseover', () => {
-        button.style.transform = 'scale(1.1)';
-        button.style.boxShadow = '0 6px 25px rgba(147, 112, 219, 0.8)';
-    });
+    // Escape and Tab belong to the alert while it's up, even over the player -
+    // listening in the capture phase gets to them before the player does
+    const keyHandler = (e) => {
+        if (e.key !== 'Escape' && e.key !== 'Tab') return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', keyHandler, true);
 
-    button.addEventListener('mouseout', () => {
-        button.style.transform = 'scale(1)';
-        button.style.boxShadow = '0 4px 15px rgba(147, 112, 219, 0.5)';
-    });
+    const originalRemove = alert.remove.bind(alert);
+    alert.remove = () => {
+        document.removeEventListener('keydown', keyHandler, true);
+        originalRemove();
+    };
+
+    // Closing puts focus back where it was
+    const close = () => {
+        alert.remove();
+        if (!document.querySelector('.video-player-modal')) setBackgroundInert(false);
+        if (returnFocusTo?.isConnected) returnFocusTo.focus();
+    };
+    button.addEventListener('click', close);
 
     document.body.appendChild(alert);
+    setBackgroundInert(true);
+    button.focus();
 }
 
-// Add CSS animations dynamically
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes card-click {
-        0% { transform: scale(1); }
-        50% { transform: scale(0.95); }
-        100% { transform: scale(1); }
-    }
-
-    @keyframes fade-in {
-        from { opacity: 0; }
-        to { opacity: 1; }
-    }
-
-    @keyframes pop-in {
-        0% { transform: scale(0) rotate(-10deg); }
-        70% { transform: scale(1.1) rotate(5deg); }
-        100% { transform: scale(1) rotate(0deg); }
-    }
-`;
-document.head.appendChild(style);
-
 // Fun console message
 console.log('%c✨ Welcome to Vivis Vlog! ✨',
     'font-size: 24px; color: #9370db; font-family: Comic Sans MS; text-shadow: 2px 2px #c8a2d6;');
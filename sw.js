@@ -0,0 +1,159 @@
+// Vivi's Vlog service worker - offline app shell, cached thumbnails and sheet data
+
+const SHELL_CACHE = 'vivi-shell-v2';
+const ASSET_CACHE = 'vivi-assets-v1';
+const DATA_CACHE = 'vivi-data-v1';
+
+// App shell, precached on install
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './catalog-schema.js',
+    './script.js',
+    './manifest.webmanifest',
+    './icon.svg',
+    './icon-maskable.svg',
+];
+
+// Thumbnails and fonts are cached as they're used
+const ASSET_HOSTS = [
+    'img.youtube.com',
+    'i.ytimg.com',
+    'i.vimeocdn.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+];
+
+// Keep the thumbnail cache from growing forever
+const MAX_ASSETS = 300;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, ASSET_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('vivi-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the visitor taps "refresh"
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && isShellRequest(url)) {
+        event.respondWith(serveShell(event, request));
+    } else if (isDataRequest(url)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (ASSET_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    }
+});
+
+// Catalog data - the Google Sheet (gviz or CSV) or a JSON file on this site
+function isDataRequest(url) {
+    if (url.hostname === 'docs.google.com') return url.pathname.startsWith('/spreadsheets/');
+    return url.origin === self.location.origin && url.pathname.endsWith('.json');
+}
+
+function isShellRequest(url) {
+    const scope = new URL(self.registration.scope);
+    const path = './' + url.pathname.slice(scope.pathname.length);
+    return SHELL_FILES.includes(path);
+}
+
+// Serve the shell from cache and refresh it in the background.
+// When one of the scripts has changed, re-cache the whole shell and tell open pages.
+async function serveShell(event, request) {
+    const url = new URL(request.url);
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request, { cache: 'no-cache' })
+        .then(async (response) => {
+            if (!response.ok) return response;
+
+            if (/\/(script|catalog-schema)\.js$/.test(url.pathname) && cached) {
+                const [oldText, newText] = await Promise.all([cached.clone().text(), response.clone().text()]);
+                if (oldText !== newText) {
+                    await refreshShell(cache);
+                    await notifyClients({ type: 'update-available' });
+                    return response;
+                }
+            }
+
+            // One copy per file - "?v=..." share links and "?source=..." visits all get index.html
+            await cache.put(url.origin + url.pathname, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return refresh;
+}
+
+// Re-download every shell file so the next load gets a matching set
+async function refreshShell(cache) {
+    await Promise.all(SHELL_FILES.map(async (file) => {
+        const response = await fetch(file, { cache: 'reload' });
+        if (response.ok) await cache.put(file, response);
+    }));
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+// Fresh sheet data when online, the last copy when not
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Thumbnails never change for a given URL - cross-origin images come back
+// opaque (status 0), which is fine to cache and replay
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cache, MAX_ASSETS);
+    }
+    return response;
+}
+
+// Drop the oldest entries once a cache gets too big
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,41 @@
+// axe-core over the page built from videos.json: the grid, the player and the Y2K alert.
+// jsdom doesn't lay anything out, so color contrast is left to a real browser.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const axe = require('axe-core');
+const { loadSite } = require('./load-site');
+
+async function findViolations(window) {
+    const { violations } = await window.axe.run(window.document, {
+        rules: { 'color-contrast': { enabled: false } },
+    });
+    // The results come from the page's realm, so they're copied before comparing
+    return Array.from(violations, ({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+test('no axe violations', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    window.eval(axe.source);
+
+    await t.test('video grid', async () => {
+        assert.ok(document.querySelectorAll('.view[data-view="home"] .video-card').length);
+        assert.deepStrictEqual(await findViolations(window), []);
+    });
+
+    await t.test('player modal', async () => {
+        document.querySelector('.view[data-view="home"] .video-card .card-link').click();
+        assert.ok(document.querySelector('.video-player-modal'));
+        assert.deepStrictEqual(await findViolations(window), []);
+        document.querySelector('.video-player-close').click();
+    });
+
+    await t.test('Y2K alert', async () => {
+        window.showY2KAlert('Coming soon!');
+        assert.ok(document.querySelector('.y2k-alert'));
+        assert.deepStrictEqual(await findViolations(window), []);
+        document.querySelector('.y2k-alert button').click();
+    });
+});
@@ -0,0 +1,35 @@
+// A source that loads but has no usable rows - every title empty, say - mustn't leave
+// Home blank: it shows the saved catalog if there is one, otherwise says there's nothing.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, waitFor } = require('./load-site');
+
+const SEARCH = '?source=json&src=fixtures/no-valid-videos.json';
+
+test('no valid rows and nothing saved shows the empty state', async (t) => {
+    const site = await loadSite({ search: SEARCH });
+    t.after(site.close);
+    const { document } = site;
+
+    const grid = document.querySelector('.view[data-view="home"] > .video-grid');
+    assert.strictEqual(grid.querySelectorAll('.video-card').length, 0);
+    assert.match(grid.querySelector('.empty-state').textContent, /No videos here yet!/);
+});
+
+test('no valid rows keeps the saved catalog', async (t) => {
+    const site = await loadSite({
+        search: SEARCH,
+        setup: (window) => window.localStorage.setItem('vivi-cache-catalog', JSON.stringify({
+            savedAt: Date.now() - 60 * 60 * 1000,
+            source: 'json',
+            videos: [{ title: 'Saved video', videoUrl: 'https://youtu.be/aqz-KE-bpKQ', key: 'youtube-aqz-KE-bpKQ', index: 0 }],
+        })),
+    });
+    t.after(site.close);
+    const { document } = site;
+
+    await waitFor(() => document.querySelector('.offline-banner'));
+    const titles = [...document.querySelectorAll('.view[data-view="home"] .video-card .card-link')].map(link => link.textContent);
+    assert.deepStrictEqual(titles, ['Saved video']);
+});
@@ -0,0 +1,88 @@
+// The rows in fixtures/hostile-videos.json are what someone with edit access to the sheet
+// could type in. Rendered as cards, in the player and in alerts, they have to come out as
+// plain text - no new elements, no inline handlers and no script or data links.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, readFile } = require('./load-site');
+
+const HOSTILE_ROWS = JSON.parse(readFile('fixtures/hostile-videos.json')).videos;
+
+// Elements the page never makes outside its header, so any of them came from the sheet
+const INJECTED_TAGS = ['script', 'svg', 'h1', 'b', 'style', 'object', 'embed', 'form'];
+const URL_ATTRIBUTES = ['href', 'src', 'data-src', 'srcset', 'poster', 'action', 'formaction'];
+const UNSAFE_SCHEME = /^\s*(javascript|data):/i;
+
+function findProblems(document) {
+    const problems = [];
+    document.body.querySelectorAll('*').forEach(element => {
+        if (element.closest('header')) return;
+        const tag = element.localName;
+        if (INJECTED_TAGS.includes(tag) && !element.hasAttribute('data-test-loader')) {
+            problems.push(`<${tag}> element`);
+        }
+        if (tag === 'img' && element.getAttribute('src') === 'x') problems.push('<img src=x>');
+        if (tag === 'iframe' && !/^https:\/\/(www\.youtube\.com|player\.vimeo\.com)\//.test(element.src)) {
+            problems.push(`iframe to ${element.src}`);
+        }
+        [...element.attributes].forEach(({ name, value }) => {
+            if (name.startsWith('on')) problems.push(`${name} on <${tag}>`);
+            if (URL_ATTRIBUTES.includes(name) && UNSAFE_SCHEME.test(value)) {
+                problems.push(`${name}="${value}" on <${tag}>`);
+            }
+        });
+        // Inline styles only ever hold gradients and url("...") thumbnails
+        for (const [, url] of (element.getAttribute('style') || '').matchAll(/url\(\s*"((?:[^"\\]|\\.)*)"\s*\)/g)) {
+            if (UNSAFE_SCHEME.test(url)) problems.push(`style url("${url}") on <${tag}>`);
+        }
+    });
+    return problems;
+}
+
+test('hostile rows load as plain text', async (t) => {
+    const site = await loadSite({ search: '?source=json&src=fixtures/hostile-videos.json' });
+    t.after(site.close);
+    const { document } = site;
+
+    const titles = [...document.querySelectorAll('.video-card .card-link')].map(link => link.textContent);
+    assert.deepStrictEqual(titles, HOSTILE_ROWS.map(row => row.title));
+    assert.deepStrictEqual(findProblems(document), []);
+});
+
+test('createVideoCard keeps unchecked rows inert', async (t) => {
+    const site = await loadSite({ search: '?source=json&src=fixtures/hostile-videos.json' });
+    t.after(site.close);
+    const { window, document } = site;
+
+    // Straight from the file, without the sheet schema's checks in front
+    const grid = document.querySelector('.view[data-view="home"] > .video-grid');
+    grid.replaceChildren(...HOSTILE_ROWS.map((row, index) => window.createVideoCard({ ...row }, index)));
+    assert.deepStrictEqual(findProblems(document), []);
+
+    // Clicking opens the player, an alert or a new tab - never a script link
+    grid.querySelectorAll('.video-card').forEach(card => {
+        card.querySelector('.card-link').click();
+        assert.deepStrictEqual(findProblems(document), []);
+        document.querySelector('.video-player-close')?.click();
+        document.querySelector('.y2k-alert button')?.click();
+    });
+    window.opened.forEach(url => assert.match(url, /^https:\/\//));
+});
+
+test('showVideoPlayer and showY2KAlert show hostile text as text', async (t) => {
+    const site = await loadSite({ search: '?source=json&src=fixtures/hostile-videos.json' });
+    t.after(site.close);
+    const { window, document } = site;
+
+    HOSTILE_ROWS.forEach(row => {
+        window.showVideoPlayer('youtube', 'aqz-KE-bpKQ', row.title);
+        assert.strictEqual(document.querySelector('.video-player-title').textContent, row.title);
+        assert.deepStrictEqual(findProblems(document), []);
+
+        window.showY2KAlert(row.title);
+        assert.strictEqual(document.querySelector('#y2k-alert-message').textContent, row.title);
+        assert.deepStrictEqual(findProblems(document), []);
+        document.querySelector('.y2k-alert button').click();
+        document.querySelector('.video-player-close').click();
+    });
+});
@@ -0,0 +1,106 @@
+// Loads the site into jsdom for the tests: index.html with its scripts running in it, and
+// requests for files on the site answered from this repo. Anything else fails like it
+// would offline, so view counts and Vimeo metadata fall back to what the catalog has -
+// unless the test answers it with `external`.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = 'https://okayitsvivi.github.io/';
+
+function readFile(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// search   - query string for the page, e.g. "?source=json&src=fixtures/hostile-videos.json"
+// hash     - route to open, e.g. "#/me"
+// languages - what navigator.languages reports
+// external  - answers requests to other sites: url => JSON-able body, or undefined to fail
+// setup     - called with the window before the page's scripts run
+async function loadSite({ search = '?source=json', hash = '', languages = ['en-US'], external = () => undefined, setup = () => {} } = {}) {
+    // The page's own scripts run inline, once the stubs below are in place
+    const sources = [];
+    const html = readFile('index.html').replace(/<script src="([\w.-]+\.js)"><\/script>/g, (tag, src) => {
+        sources.push(src);
+        return '';
+    });
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        url: `${SITE_URL}${search}${hash}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+    });
+    const window = dom.window;
+
+    window.fetch = async (url) => {
+        const target = new URL(url, window.location.href);
+        let body;
+        if (target.origin === window.location.origin) {
+            body = readFile(decodeURIComponent(target.pathname).slice(1));
+        } else {
+            const answer = await external(target);
+            if (answer === undefined) throw new window.TypeError('Failed to fetch');
+            body = JSON.stringify(answer);
+        }
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => 'application/json' },
+            text: async () => body,
+            json: async () => JSON.parse(body),
+        };
+    };
+
+    // What jsdom doesn't have: media queries, layout, canvas and window.open
+    window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+    });
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+        }
+        observe(target) {
+            this.callback([{ isIntersecting: true, target }], this);
+        }
+        unobserve() {}
+        disconnect() {}
+    };
+    window.HTMLCanvasElement.prototype.getContext = () => null;
+    window.scrollTo = () => {};
+    window.opened = [];
+    window.open = (url) => window.opened.push(url);
+    Object.defineProperty(window.navigator, 'languages', { value: languages });
+
+    setup(window);
+    sources.forEach(src => {
+        const script = window.document.createElement('script');
+        script.dataset.testLoader = '';
+        script.textContent = readFile(src);
+        window.document.body.appendChild(script);
+    });
+
+    await waitFor(() => window.document.querySelector('.video-card, .empty-state'));
+    return { window, document: window.document, errors, close: () => window.close() };
+}
+
+// Resolve once check() returns something truthy, or fail after a while
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the page');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = { loadSite, waitFor, readFile };
@@ -0,0 +1,127 @@
+// Link shapes people actually paste into the sheet, and the platform and ID each one
+// should come out as. Keys ("platform-id") go through parseVideoKey and isValidId, the
+// same way shared links and imports do.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./load-site');
+
+const LINKS = [
+    // YouTube
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ'],
+    ['https://youtube.com/watch?feature=shared&v=dQw4w9WgXcQ&t=42', 'youtube', 'dQw4w9WgXcQ'],
+    ['https://m.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ'],
+    ['https://youtu.be/dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ'],
+    ['https://youtu.be/dQw4w9WgXcQ?si=abc123&t=10', 'youtube', 'dQw4w9WgXcQ'],
+    ['https://www.youtube.com/live/jfKfPfyJRdk?feature=share', 'youtube', 'jfKfPfyJRdk'],
+    ['https://www.youtube.com/embed/aqz-KE-bpKQ', 'youtube', 'aqz-KE-bpKQ'],
+    ['https://www.youtube-nocookie.com/embed/aqz-KE-bpKQ?start=5', 'youtube', 'aqz-KE-bpKQ'],
+    ['https://www.youtube.com/shorts/abcDEF_1234', 'shorts', 'abcDEF_1234'],
+    ['https://youtube.com/shorts/abcDEF-1234?feature=share', 'shorts', 'abcDEF-1234'],
+    // TikTok
+    ['https://www.tiktok.com/@vivi.vlogs/video/7234567890123456789', 'tiktok', '7234567890123456789'],
+    ['https://www.tiktok.com/@vivi_vlogs/video/7234567890123456789?is_from_webapp=1', 'tiktok', '7234567890123456789'],
+    ['https://www.tiktok.com/embed/v2/7234567890123456789', 'tiktok', '7234567890123456789'],
+    // Instagram
+    ['https://www.instagram.com/reel/C1a2B3c4D5e/', 'instagram', 'C1a2B3c4D5e'],
+    ['https://www.instagram.com/reels/C1a2B3c4D5e/?igsh=xyz', 'instagram', 'C1a2B3c4D5e'],
+    ['https://www.instagram.com/p/C1a2B3c4D5e/', 'instagram', 'C1a2B3c4D5e'],
+    ['https://www.instagram.com/tv/B9x8Y7z6W5v/', 'instagram', 'B9x8Y7z6W5v'],
+    ['https://www.instagram.com/vivi.vlogs/reel/C1a2B3c4D5e/', 'instagram', 'C1a2B3c4D5e'],
+    // Twitch
+    ['https://clips.twitch.tv/FunnyClipName-AbC123xYz', 'twitch', 'FunnyClipName-AbC123xYz'],
+    ['https://www.twitch.tv/vivivlogs/clip/FunnyClipName-AbC123xYz?filter=clips', 'twitch', 'FunnyClipName-AbC123xYz'],
+    ['https://clips.twitch.tv/embed?clip=FunnyClipName-AbC123xYz&parent=example.com', 'twitch', 'FunnyClipName-AbC123xYz'],
+    ['https://www.twitch.tv/videos/1234567890', 'twitchvod', '1234567890'],
+    ['https://www.twitch.tv/videos/1234567890?t=1h2m3s', 'twitchvod', '1234567890'],
+    // Vimeo
+    ['https://vimeo.com/76979871', 'vimeo', '76979871'],
+    ['https://player.vimeo.com/video/76979871?h=abc', 'vimeo', '76979871'],
+    ['https://vimeo.com/channels/staffpicks/76979871', 'vimeo', '76979871'],
+    ['https://vimeo.com/groups/shortfilms/videos/76979871', 'vimeo', '76979871'],
+    // Video files
+    ['https://cdn.example.com/videos/trip.mp4', 'file', 'https://cdn.example.com/videos/trip.mp4'],
+    ['https://cdn.example.com/videos/trip.WEBM?download=0', 'file', 'https://cdn.example.com/videos/trip.WEBM?download=0'],
+];
+
+const NOT_VIDEOS = [
+    '',
+    'not a link',
+    'https://example.com/',
+    'https://www.youtube.com/',
+    'https://www.youtube.com/watch?v=short',
+    'https://www.youtube.com/channel/UCabcdefghijklmnopqrstuv',
+    'https://www.tiktok.com/@vivi.vlogs',
+    'https://www.instagram.com/vivi.vlogs/',
+    'https://www.twitch.tv/vivivlogs',
+    'https://vimeo.com/about',
+    'https://cdn.example.com/videos/trip.mov',
+    'https://cdn.example.com/trip.mp4.html',
+    'javascript:alert(1)//.mp4',
+    'data:video/mp4;base64,AAAA.mp4',
+];
+
+const BAD_KEYS = [
+    'youtube',
+    '-dQw4w9WgXcQ',
+    'youtube-',
+    'youtube-dQw4w9WgXc',
+    'youtube-dQw4w9WgXcQQ',
+    'youtube-dQw4w9WgXc!',
+    'shorts-<script>abc',
+    'vimeo-abc',
+    'tiktok-12ab',
+    'instagram-C1a2/../x',
+    'twitch-clip name',
+    'twitchvod-v1234567890',
+    'file-javascript:alert(1)//.mp4',
+    'file-https://cdn.example.com/trip.mov',
+    'dailymotion-x8abcd',
+    'constructor-1',
+    '__proto__-1',
+];
+
+test('video links', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window } = site;
+
+    await t.test('getVideoPlatform finds the platform and ID', () => {
+        LINKS.forEach(([url, platform, id]) => {
+            assert.deepStrictEqual({ ...window.getVideoPlatform(url) }, { platform, id }, url);
+        });
+    });
+
+    await t.test('getVideoPlatform ignores everything else', () => {
+        NOT_VIDEOS.forEach(url => assert.strictEqual(window.getVideoPlatform(url), null, url));
+    });
+
+    await t.test('keys survive parseVideoKey', () => {
+        LINKS.forEach(([url, platform, id]) => {
+            const key = window.getVideoKey({ videoUrl: url });
+            assert.strictEqual(key, `${platform}-${id}`, url);
+            assert.deepStrictEqual({ ...window.parseVideoKey(key) }, { platform, id }, key);
+        });
+    });
+
+    await t.test('parseVideoKey rejects keys that do not look real', () => {
+        BAD_KEYS.forEach(key => assert.strictEqual(window.parseVideoKey(key), null, key));
+    });
+
+    await t.test('isValidId accepts the IDs matched from links', () => {
+        const platforms = window.eval('VIDEO_PLATFORMS');
+        LINKS.forEach(([, platform, id]) => assert.ok(platforms[platform].isValidId(id), `${platform} ${id}`));
+        assert.ok(!platforms.twitchvod.isValidId('v1234567890'));
+        assert.ok(!platforms.vimeo.isValidId('76979871a'));
+        assert.ok(!platforms.file.isValidId('http://cdn.example.com/trip.mp4/../x.txt'));
+    });
+
+    await t.test('every platform has an embed and a shape', () => {
+        Object.entries(window.eval('VIDEO_PLATFORMS')).forEach(([platform, spec]) => {
+            assert.strictEqual(typeof spec.embedUrl, 'function', platform);
+            assert.ok(spec.aspectRatio > 0, platform);
+        });
+        const vod = window.eval('VIDEO_PLATFORMS.twitchvod.embedUrl("1234567890", 90)');
+        assert.strictEqual(vod, 'https://player.twitch.tv/?video=v1234567890&parent=okayitsvivi.github.io&autoplay=true&time=90s');
+    });
+});
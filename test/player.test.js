@@ -0,0 +1,54 @@
+// The player modal against a stand-in for Vimeo's player API. Like the real one, its calls
+// go over postMessage and never answer once the iframe is gone.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, waitFor } = require('./load-site');
+
+const VIMEO_ID = '76979871';
+
+function fakeVimeo(window) {
+    const players = [];
+    window.Vimeo = {
+        Player: class {
+            constructor(iframe) {
+                this.iframe = iframe;
+                this.handlers = {};
+                players.push(this);
+            }
+            on(event, callback) {
+                this.handlers[event] = callback;
+            }
+            emit(event, data) {
+                this.handlers[event]?.(data);
+            }
+            getCurrentTime() {
+                return new Promise(() => {});
+            }
+            getDuration() {
+                return new Promise(() => {});
+            }
+        },
+    };
+    window.eval("loadedScripts['https://player.vimeo.com/api/player.js'] = Promise.resolve()");
+    return players;
+}
+
+test('closing a Vimeo video keeps where it got to', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    const players = fakeVimeo(window);
+
+    window.showVideoPlayer('vimeo', VIMEO_ID, 'Vimeo test');
+    const player = await waitFor(() => players[0]);
+    assert.strictEqual(player.iframe, document.querySelector('.video-player-modal iframe'));
+
+    player.emit('timeupdate', { seconds: 42.5, percent: 0.07, duration: 600 });
+    document.querySelector('.video-player-close').click();
+    assert.ok(!document.querySelector('.video-player-modal'));
+
+    const row = await waitFor(() => document.querySelector(`.continue-watching .video-card[data-platform="vimeo"]`));
+    assert.ok(!row.closest('[hidden]'));
+    assert.deepStrictEqual({ ...window.eval('playbackPositions')[`vimeo-${VIMEO_ID}`], savedAt: 0 }, { time: 42, duration: 600, savedAt: 0 });
+});
@@ -0,0 +1,84 @@
+// sw.js in a vm context, with just enough of the service worker globals and a Cache
+// Storage that keeps entries by URL the way the real one does.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { readFile } = require('./load-site');
+
+const SCOPE = 'https://okayitsvivi.github.io/';
+
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+    async match(request, { ignoreSearch = false } = {}) {
+        const wanted = new URL(request.url || request, SCOPE);
+        for (const [key, response] of this.entries) {
+            const url = new URL(key);
+            if (ignoreSearch ? url.origin + url.pathname === wanted.origin + wanted.pathname : url.href === wanted.href) return response;
+        }
+        return undefined;
+    }
+    async put(request, response) {
+        this.entries.set(new URL(request.url || request, SCOPE).href, response);
+    }
+    async addAll(files) {
+        files.forEach(file => this.entries.set(new URL(file, SCOPE).href, fakeResponse('')));
+    }
+}
+
+function fakeResponse(body) {
+    return { ok: true, clone: () => fakeResponse(body), text: async () => body };
+}
+
+function loadWorker() {
+    const listeners = {};
+    const caches = new Map();
+    const context = {
+        URL,
+        Promise,
+        console,
+        self: {
+            location: new URL('sw.js', SCOPE),
+            registration: { scope: SCOPE },
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            clients: { matchAll: async () => [], claim: async () => {} },
+        },
+        caches: {
+            open: async (name) => {
+                if (!caches.has(name)) caches.set(name, new FakeCache());
+                return caches.get(name);
+            },
+            keys: async () => [...caches.keys()],
+            delete: async name => caches.delete(name),
+        },
+        fetch: async () => fakeResponse('<!DOCTYPE html>'),
+    };
+    vm.runInNewContext(readFile('sw.js'), context);
+
+    // Fire a fetch event and wait for the response and anything it left running
+    const request = async (url) => {
+        const pending = [];
+        let response;
+        listeners.fetch({
+            request: { method: 'GET', url },
+            respondWith: promise => { response = promise; },
+            waitUntil: promise => pending.push(promise),
+        });
+        await response;
+        await Promise.all(pending);
+    };
+    return { caches, request };
+}
+
+test('share links and ?source= visits share one copy of index.html', async () => {
+    const { caches, request } = loadWorker();
+    await request(`${SCOPE}?v=youtube-aqz-KE-bpKQ&t=30`);
+    await request(`${SCOPE}?v=vimeo-76979871`);
+    await request(`${SCOPE}?source=json&debug=1`);
+    await request(SCOPE);
+
+    const [shell] = [...caches.values()];
+    assert.deepStrictEqual([...shell.entries.keys()], [SCOPE]);
+});
@@ -0,0 +1,51 @@
+// tools/build-share-pages.js has to name pages with the site's video keys and read the
+// sheet's columns the way the site does, or shared links won't unfurl.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, readFile } = require('./load-site');
+const sharePages = require('../tools/build-share-pages');
+
+const LINKS = [
+    ...JSON.parse(readFile('videos.json')).videos.map(video => video.videoUrl),
+    'https://www.youtube.com/shorts/abcDEF_1234',
+    'https://www.youtube.com/live/jfKfPfyJRdk',
+    'https://www.tiktok.com/@vivi.vlogs/video/7234567890123456789',
+    'https://www.instagram.com/reel/C1a2B3c4D5e/',
+    'https://clips.twitch.tv/FunnyClipName-AbC123xYz',
+    'https://www.twitch.tv/videos/1234567890',
+    'https://example.com/not-a-video',
+];
+
+const HEADERS = ['Name', 'Video Link', 'thumb', 'Summary', 'Title ES', 'description_es', 'title_fr', 'Views'];
+const ROW = ['Picnic', 'https://youtu.be/dQw4w9WgXcQ', 'https://example.com/p.jpg', 'Sunny', 'Pícnic', 'Soleado', 'Pique-nique', '12'];
+
+test('share pages match the site', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window } = site;
+
+    await t.test('video keys', () => {
+        LINKS.forEach(url => {
+            const expected = window.getVideoPlatform(url);
+            assert.deepStrictEqual(sharePages.getVideoPlatform(url), expected && { ...expected }, url);
+        });
+    });
+
+    await t.test('sheet columns', () => {
+        const { columns } = window.resolveColumns(HEADERS);
+        const siteVideo = {};
+        columns.forEach(column => {
+            if (['title', 'videoUrl', 'thumbnail', 'description'].includes(column.field)) siteVideo[column.property] = ROW[column.index];
+        });
+        assert.deepStrictEqual(sharePages.tableToVideos(HEADERS, [ROW], 'es')[0], siteVideo);
+    });
+
+    await t.test('localized titles', () => {
+        const [video] = sharePages.tableToVideos(HEADERS, [ROW], 'es');
+        assert.strictEqual(sharePages.localizedField(video, 'title', 'es'), 'Pícnic');
+        assert.strictEqual(sharePages.localizedField(video, 'description', 'es'), 'Soleado');
+        assert.strictEqual(sharePages.localizedField(video, 'title', ''), 'Picnic');
+        assert.strictEqual(sharePages.localizedField({ title: 'Picnic' }, 'title', 'es'), 'Picnic');
+    });
+});
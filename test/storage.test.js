@@ -0,0 +1,90 @@
+// With cookies blocked, even reading window.localStorage throws a SecurityError, and a
+// full quota makes setItem throw. Settings then only last until the page is closed.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite } = require('./load-site');
+
+function blockStorage(window) {
+    Object.defineProperty(window, 'localStorage', {
+        configurable: true,
+        get() {
+            throw new window.DOMException('The operation is insecure.', 'SecurityError');
+        },
+    });
+}
+
+test('sort order without storage', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    blockStorage(window);
+
+    assert.strictEqual(window.loadSortOrder(), 'sheet');
+    const sortSelect = document.querySelector('.sort-select');
+    sortSelect.value = 'title';
+    sortSelect.dispatchEvent(new window.Event('change'));
+    assert.strictEqual(window.eval('sortOrder'), 'title');
+    const titles = [...document.querySelectorAll('.view[data-view="home"] .video-card .card-link')].map(link => link.textContent);
+    assert.deepStrictEqual(titles, [...titles].sort((a, b) => a.localeCompare(b)));
+});
+
+test('autoplay-next without storage', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    blockStorage(window);
+
+    document.querySelector('.view[data-view="home"] .video-card .card-link').click();
+    const autoplayInput = document.querySelector('.queue-autoplay input');
+    autoplayInput.checked = true;
+    autoplayInput.dispatchEvent(new window.Event('change'));
+    assert.strictEqual(window.eval('autoplayNext'), true);
+});
+
+test('calm mode without storage', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    blockStorage(window);
+
+    window.setCalmMode(true);
+    assert.strictEqual(window.eval('calmMode'), true);
+    assert.ok(document.documentElement.classList.contains('calm'));
+    assert.strictEqual(window.motionAllowed(), false);
+});
+
+test('themes without storage', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    blockStorage(window);
+
+    window.setTheme('midnight');
+    assert.strictEqual(document.documentElement.dataset.theme, 'midnight');
+    window.setTheme('constructor');
+    assert.strictEqual(window.eval('themeSetting'), 'auto');
+    assert.strictEqual(document.documentElement.dataset.theme, 'lavender');
+});
+
+test('languages without storage', async (t) => {
+    const site = await loadSite();
+    t.after(site.close);
+    const { window, document } = site;
+    blockStorage(window);
+
+    window.setLocale('es');
+    assert.strictEqual(document.documentElement.lang, 'es');
+    window.setLocale('constructor');
+    assert.strictEqual(window.eval('localeSetting'), 'auto');
+    assert.strictEqual(document.documentElement.lang, 'en');
+});
+
+test('the page loads with storage blocked from the start', async (t) => {
+    const site = await loadSite({ setup: blockStorage });
+    t.after(site.close);
+    const { document, errors } = site;
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(document.querySelectorAll('.view[data-view="home"] .video-card').length, 4);
+});
@@ -0,0 +1,52 @@
+// View counts from the YouTube views worker. The current worker takes a batch of IDs and
+// answers { videos: { [id]: stats } }; the first one only read a single ID and answered
+// { views } - the site has to work with both until every deploy is updated.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSite, waitFor } = require('./load-site');
+
+const VIEWS = { 'aqz-KE-bpKQ': 1234, 'eRsGyueVLvQ': 5678 };
+
+function viewCounts(document) {
+    return Object.fromEntries(Object.keys(VIEWS).map(id => [
+        id,
+        document.querySelector(`.view[data-view="home"] .video-card[data-video-id="${id}"] .view-count`)?.textContent,
+    ]));
+}
+
+test('a batching worker gets one request', async (t) => {
+    const requests = [];
+    const site = await loadSite({
+        external: (url) => {
+            if (url.origin !== 'https://youtube-views.leonardthethird.workers.dev') return undefined;
+            requests.push(url.searchParams.get('v'));
+            const ids = url.searchParams.get('v').split(',');
+            return { videos: Object.fromEntries(ids.map(id => [id, { views: VIEWS[id] }])) };
+        },
+    });
+    t.after(site.close);
+
+    await waitFor(() => Object.values(viewCounts(site.document)).every(text => /\d/.test(text || '')));
+    assert.deepStrictEqual(viewCounts(site.document), { 'aqz-KE-bpKQ': '⭐ 1.2K views', 'eRsGyueVLvQ': '⭐ 5.7K views' });
+    assert.deepStrictEqual(requests.map(ids => ids.split(',').sort()), [Object.keys(VIEWS).sort()]);
+});
+
+test('a single-ID worker is asked for each ID', async (t) => {
+    const requests = [];
+    const site = await loadSite({
+        external: (url) => {
+            if (url.origin !== 'https://youtube-views.leonardthethird.workers.dev') return undefined;
+            const id = url.searchParams.get('v');
+            requests.push(id);
+            // It reads the whole parameter as one ID, which YouTube doesn't know
+            return { views: VIEWS[id] ?? null };
+        },
+    });
+    t.after(site.close);
+
+    await waitFor(() => Object.values(viewCounts(site.document)).every(text => /\d/.test(text || '')));
+    assert.deepStrictEqual(viewCounts(site.document), { 'aqz-KE-bpKQ': '⭐ 1.2K views', 'eRsGyueVLvQ': '⭐ 5.7K views' });
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(requests.slice(1).sort(), Object.keys(VIEWS).sort());
+});
@@ -0,0 +1,208 @@
+// Builds a small share page per video, so links pasted into chat apps unfurl with the
+// video's title and thumbnail - no dependencies, just Node 18 or newer.
+//
+//   node tools/build-share-pages.js               read the catalog from the Google Sheet
+//   node tools/build-share-pages.js videos.json   or from a JSON file ({ "videos": [...] })
+//
+// Each page is v/<key>.html (e.g. v/youtube-dQw4w9WgXcQ.html, the same keys as the site),
+// holds the Open Graph / Twitter tags and sends visitors on to the site's "?v=<key>", which
+// opens the player - a "?t=90" on the share link is passed along as the start time.
+// Run it after adding videos to the sheet and commit the v/ folder. Links to videos added
+// since the last run still work, because 404.html forwards them, they just don't unfurl.
+//
+// Environment variables:
+//   SITE_URL=https://okayitsvivi.github.io/   where the site lives, for absolute og: links
+//   SHEET_URL=...                             another gviz endpoint than the one in script.js
+//   OUT_DIR=v                                 folder to write the pages to
+//   LOCALE=es                                 use the sheet's "title_es" / "description_es"
+//                                             columns where a video has them
+//
+// The sheet columns and video link patterns come from catalog-schema.js, the same file
+// the site loads, so the pages read the same columns and get the same keys.
+
+const fs = require('fs');
+const path = require('path');
+const { SHEET_SCHEMA, normalizeHeader, getSchemaHeaders, VIDEO_LINK_PATTERNS } = require('../catalog-schema');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = (process.env.SITE_URL || 'https://okayitsvivi.github.io/').replace(/\/?$/, '/');
+const OUT_DIR = path.resolve(ROOT, process.env.OUT_DIR || 'v');
+const SITE_NAME = "Vivi's Vlog";
+const LOCALE = (process.env.LOCALE || '').trim().toLowerCase();
+
+// The sheet the site reads, taken from script.js so there's one place to change it
+function getSheetUrl() {
+    if (process.env.SHEET_URL) return process.env.SHEET_URL;
+    const script = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+    const sheetId = script.match(/const SHEET_ID = '([^']+)'/)?.[1];
+    if (!sheetId) throw new Error('Could not find SHEET_ID in script.js');
+    return `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json`;
+}
+
+// Video files have no share page: their key is the whole file URL, which can't be a file name
+function getVideoPlatform(url) {
+    for (const [platform, pattern] of Object.entries(VIDEO_LINK_PATTERNS)) {
+        const id = String(url || '').match(pattern)?.[1];
+        if (id) return { platform, id };
+    }
+    return null;
+}
+
+// The columns a share page uses
+const PAGE_FIELDS = ['title', 'videoUrl', 'thumbnail', 'description'];
+
+// Turn a header row plus data rows into { title, videoUrl, thumbnail, description } objects,
+// plus e.g. "title_es" for the LOCALE columns. The first column for each wins, like on the site.
+function tableToVideos(headers, rows, locale = LOCALE) {
+    const lookup = getSchemaHeaders(locale ? [locale] : []);
+    const indexes = {};
+    headers.forEach((header, index) => {
+        const match = lookup.get(normalizeHeader(header));
+        if (!match || !PAGE_FIELDS.includes(match.field)) return;
+        const property = match.locale ? `${match.field}_${match.locale}` : match.field;
+        if (!(property in indexes)) indexes[property] = index;
+    });
+    return rows.map(row => {
+        const video = {};
+        PAGE_FIELDS.forEach(field => {
+            video[field] = '';
+        });
+        Object.entries(indexes).forEach(([property, index]) => {
+            if (row[index] != null) video[property] = String(row[index]).trim();
+        });
+        return video;
+    });
+}
+
+// A field in the LOCALE language when the sheet has it, otherwise the plain column
+function localizedField(video, field, locale = LOCALE) {
+    return (locale && SHEET_SCHEMA[field].localized && video[`${field}_${locale}`]) || video[field];
+}
+
+async function loadFromSheet() {
+    const url = getSheetUrl();
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    // Google's response is wrapped in a callback, extract the JSON
+    const jsonMatch = (await response.text()).match(/google\.visualization\.Query\.setResponse\(([\s\S]*)\);?$/);
+    if (!jsonMatch) throw new Error('Invalid response format');
+    const table = JSON.parse(jsonMatch[1]).table;
+
+    const rows = (table.rows || []).map(row => (row.c || []).map(cell => cell ? cell.f ?? cell.v : null));
+    const labels = table.cols.map(col => (col.label || '').trim());
+    // Without labels, the header is the first row
+    return labels.some(Boolean)
+        ? tableToVideos(labels, rows)
+        : tableToVideos((rows[0] || []).map(value => String(value ?? '')), rows.slice(1));
+}
+
+function loadFromJson(file) {
+    const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const records = Array.isArray(data) ? data : data?.videos;
+    if (!Array.isArray(records)) throw new Error(`${file} has no videos list`);
+    return records.filter(record => record && typeof record === 'object').map(record => {
+        const headers = Object.keys(record);
+        return tableToVideos(headers, [headers.map(header => record[header])])[0];
+    });
+}
+
+function isWebLink(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
+// The biggest image every video is sure to have - chat apps won't show a missing one
+async function getImage(video, { platform, id }) {
+    if (isWebLink(video.thumbnail)) return { url: video.thumbnail };
+    if (platform === 'youtube' || platform === 'shorts') {
+        return { url: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`, width: 480, height: 360 };
+    }
+    if (platform === 'vimeo') {
+        try {
+            const response = await fetch(`https://vimeo.com/api/v2/video/${id}.json`);
+            if (!response.ok) throw new Error(`HTTP ${response.status} from Vimeo`);
+            const info = (await response.json())[0] || {};
+            if (info.thumbnail_large) return { url: info.thumbnail_large };
+        } catch (error) {
+            console.log(`No Vimeo thumbnail for ${id}:`, error.message);
+        }
+    }
+    return null;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    })[char]);
+}
+
+function renderPage(video, key, image) {
+    const videoTitle = localizedField(video, 'title');
+    const title = escapeHtml(videoTitle || SITE_NAME);
+    const description = escapeHtml(localizedField(video, 'description') || `Watch "${videoTitle || 'this video'}" on ${SITE_NAME}`);
+    const pageUrl = escapeHtml(`${SITE_URL}v/${key}.html`);
+    const siteLink = escapeHtml(`../?v=${encodeURIComponent(key)}`);
+    const meta = [
+        `<meta name="description" content="${description}">`,
+        `<link rel="canonical" href="${pageUrl}">`,
+        '<meta property="og:type" content="video.other">',
+        `<meta property="og:site_name" content="${escapeHtml(SITE_NAME)}">`,
+        `<meta property="og:title" content="${title}">`,
+        `<meta property="og:description" content="${description}">`,
+        `<meta property="og:url" content="${pageUrl}">`,
+        image && `<meta property="og:image" content="${escapeHtml(image.url)}">`,
+        image?.width && `<meta property="og:image:width" content="${image.width}">`,
+        image?.height && `<meta property="og:image:height" content="${image.height}">`,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${title}">`,
+        `<meta name="twitter:description" content="${description}">`,
+        image && `<meta name="twitter:image" content="${escapeHtml(image.url)}">`,
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(LOCALE || 'en')}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - ${escapeHtml(SITE_NAME)}</title>
+    ${meta.join('\n    ')}
+    <script>
+        // Off to the player - any ?t= on this link comes along as the start time
+        location.replace(${JSON.stringify(`../?v=${encodeURIComponent(key)}`)} + location.search.replace(/^\\?/, '&'));
+    </script>
+</head>
+<body>
+    <p><a href="${siteLink}">Watch ${title} on ${escapeHtml(SITE_NAME)} ✨</a></p>
+</body>
+</html>
+`;
+}
+
+async function main() {
+    const source = process.argv[2];
+    const videos = source ? loadFromJson(source) : await loadFromSheet();
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    const written = new Set();
+    for (const video of videos) {
+        const platform = getVideoPlatform(video.videoUrl);
+        if (!platform) continue;
+        const key = `${platform.platform}-${platform.id}`;
+        if (written.has(key)) continue;
+
+        const image = await getImage(video, platform);
+        fs.writeFileSync(path.join(OUT_DIR, `${key}.html`), renderPage(video, key, image));
+        written.add(key);
+    }
+
+    console.log(`Wrote ${written.size} share pages to ${path.relative(ROOT, OUT_DIR) || '.'}/`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { getVideoPlatform, tableToVideos, localizedField };
@@ -0,0 +1,78 @@
+// Local stand-in for the YouTube views Cloudflare Worker - no dependencies, just Node.
+//
+//   node tools/views-worker-stub.js
+//   then open the site with ?views=http://localhost:8787
+//
+// It answers GET /?v=id1,id2,... in the same format as the real worker
+// (see "View counts service" in script.js), with made-up but stable numbers per ID.
+//
+// Environment variables for trying out the error handling:
+//   PORT=8787        port to listen on
+//   DELAY_MS=0       wait this long before every response
+//   FAIL_RATE=0      fraction of requests (0-1) answered with a 503
+//   NOT_FOUND=a,b    IDs to leave out of the response, as if they didn't exist
+//   LEGACY=1         answer single-ID requests with the old { "views": n } shape
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY_MS = Number(process.env.DELAY_MS) || 0;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const NOT_FOUND = new Set((process.env.NOT_FOUND || '').split(',').filter(Boolean));
+const LEGACY = process.env.LEGACY === '1';
+
+const MAX_IDS = 50;
+
+// Same ID, same numbers - a tiny string hash
+function hash(text) {
+    let value = 0;
+    for (const char of text) value = (value * 31 + char.codePointAt(0)) >>> 0;
+    return value;
+}
+
+function fakeStats(id) {
+    const seed = hash(id);
+    const views = seed % 5000000;
+    return {
+        views,
+        likes: Math.floor(views / 40),
+        duration: 30 + (seed % 900),
+        publishedAt: new Date(Date.UTC(2024, 0, 1) + (seed % 600) * 24 * 60 * 60 * 1000).toISOString(),
+    };
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+    });
+    response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://localhost:${PORT}`);
+    const ids = (url.searchParams.get('v') || '').split(',').map(id => id.trim()).filter(Boolean);
+
+    setTimeout(() => {
+        if (request.method !== 'GET') return send(response, 405, { error: 'Only GET is supported' });
+        if (!ids.length) return send(response, 400, { error: 'Pass video IDs as ?v=id1,id2' });
+        if (ids.length > MAX_IDS) return send(response, 400, { error: `At most ${MAX_IDS} IDs per request` });
+        if (Math.random() < FAIL_RATE) return send(response, 503, { error: 'Simulated failure' });
+
+        if (LEGACY && ids.length === 1) {
+            return NOT_FOUND.has(ids[0]) ? send(response, 404, { error: 'Not found' }) : send(response, 200, { views: fakeStats(ids[0]).views });
+        }
+
+        const videos = {};
+        ids.filter(id => !NOT_FOUND.has(id)).forEach(id => {
+            videos[id] = fakeStats(id);
+        });
+        send(response, 200, { videos });
+    }, DELAY_MS);
+
+    console.log(`${request.method} ${request.url}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Views worker stand-in on http://localhost:${PORT} - open the site with ?views=http://localhost:${PORT}`);
+});